@@ -0,0 +1,76 @@
+//compares the formants of the same tract shape at different sample rates and oversampling factors,
+//using the DSP core directly (no AudioContext needed). Also runs in Node: node example/sample_rates.js,
+//which exits with an error if any formant is more than TOLERANCE away from its frequency at 44.1kHz (npm test)
+import { Tract } from "../src/pink_trombone_dsp.js";
+
+const SETTINGS = [
+    {sampleRate: 44100, oversample: 1},
+    {sampleRate: 48000, oversample: 1},
+    {sampleRate: 96000, oversample: 1},
+    {sampleRate: 96000, oversample: 2},
+    {sampleRate: 44100, oversample: 2},
+    {sampleRate: 48000, oversample: 4}
+];
+
+//largest accepted difference from the 44.1kHz formants, as a fraction of their frequency
+const TOLERANCE = 0.02;
+
+//vowel to compare, as tract params
+const PARAMS = {"tongue-index": 12.9, "tongue-diameter": 2.43, "fricative-strength": 0};
+
+//impulse response of the tract, 0.1s long
+function impulseResponse(tract, sampleRate) {
+    const blockLength = 128;
+    const silence = new Float32Array(blockLength);
+    const response = [];
+    for (let b = 0; b < sampleRate * 0.1 / blockLength; b++) {
+        //let the tract settle into its shape before the impulse
+        const source = new Float32Array(blockLength);
+        if (b == 2) source[0] = 1;
+        response.push(...tract.process(source, silence, PARAMS));
+    }
+    return response;
+}
+
+//first four peaks of the magnitude spectrum below 5kHz, in 10Hz steps
+function formants(response, sampleRate) {
+    const magnitude = (f) => {
+        let re = 0, im = 0;
+        for (let i = 0; i < response.length; i++) {
+            re += response[i] * Math.cos(2 * Math.PI * f * i / sampleRate);
+            im -= response[i] * Math.sin(2 * Math.PI * f * i / sampleRate);
+        }
+        return Math.hypot(re, im);
+    };
+    const spectrum = [];
+    for (let f = 0; f <= 5000; f += 10) spectrum.push(magnitude(f));
+    const max = Math.max(...spectrum);
+
+    const peaks = [];
+    for (let i = 1; i < spectrum.length - 1 && peaks.length < 4; i++) {
+        //ignore small ripples between formants
+        if (spectrum[i] > spectrum[i-1] && spectrum[i] >= spectrum[i+1] && spectrum[i] > max * 0.3) peaks.push(i * 10);
+    }
+    return peaks;
+}
+
+//the first setting is the reference
+let reference;
+let failed = false;
+const lines = SETTINGS.map(({sampleRate, oversample}) => {
+    const tract = new Tract(sampleRate, {oversample});
+    const peaks = formants(impulseResponse(tract, sampleRate), sampleRate);
+    reference ??= peaks;
+    const off = peaks.length != reference.length 
+        || peaks.some((f, i) => Math.abs(f - reference[i]) > reference[i] * TOLERANCE);
+    failed ||= off;
+    //the tract raises the factor where it would step less than once per sample
+    const used = tract.oversample != oversample ? ` (${tract.oversample}x used)` : "";
+    return `${sampleRate}Hz, ${oversample}x oversampling${used}: ${peaks.map((f) => `${f}Hz`).join(", ")}`
+        + (off ? ` - more than ${TOLERANCE * 100}% off the ${SETTINGS[0].sampleRate}Hz formants` : "");
+});
+
+console.log(lines.join("\n"));
+if (failed && globalThis.process) process.exitCode = 1;
+const results = globalThis.document?.getElementById("results");
+if (results) results.textContent = lines.join("\n");
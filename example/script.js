@@ -12,7 +12,11 @@ window.ctx = ctx;
 ctx.audioWorklet.addModule("../src/pink_trombone_processor.js")
     .then(() => { 
         //create a voice and pass reference to an HTML canvas to render GUI
-        voices.push(new MPT_Voice("voice1", ctx, document.getElementById("tract1Canvas")));
+        //and optionally other canvases for its pitch keyboard and vowel chart
+        voices.push(new MPT_Voice("voice1", ctx, document.getElementById("tract1Canvas"), {
+            glottisCanvas: document.getElementById("glottis1Canvas"),
+            vowelCanvas: document.getElementById("vowel1Canvas")
+        }));
 
         //or render a "headless" voice (no GUI, must use audioParams to interface)
         voices.push(new MPT_Voice("voice2", ctx));
@@ -31,6 +35,8 @@ document.getElementById("MPTVoicesInitButton").addEventListener("click", () => {
 function draw() {
     for (let v of voices) {
         v.UI.draw();
+        v.glottisUI?.draw();
+        v.vowelUI?.draw();
     }
     requestAnimationFrame(draw);
 }
@@ -0,0 +1,150 @@
+/*
+    Formant analysis of a tract shape
+
+    The shape is run through its own Tract (see pink_trombone_dsp.js), held still,
+    with an impulse at the glottis. The formants are the resonance peaks of the
+    spectrum of its impulse response (oral and nasal radiation together), with
+    bandwidths measured between the points 3dB below each peak.
+
+        const formants = getFormants(voice.d, {velum: voice.v});
+        //[{frequency: 742.0, bandwidth: 232.4}, {frequency: 1126.8, bandwidth: 191.7}, ...]
+*/
+import { Tract } from "./pink_trombone_dsp.js";
+
+const SAMPLE_RATE = 44100;
+const BLOCK_LENGTH = 128;
+
+//peaks less prominent than this (in dB) are ripples, not formants. Formants close together
+//(ex. F1 and F2 of back vowels) can merge into peaks only a few dB apart
+const MIN_PROMINENCE = 0.5;
+
+/*
+    formants of a tract shape, lowest first, as [{frequency, bandwidth}] in Hz.
+    bandwidth is null for a peak that never falls 3dB on either side
+    d - tract diameters, from glottis to lips
+    options (all optional):
+        velum - opening of the velum (default 0.01, closed)
+        noseDiameters - nose diameters, from velum to nostrils (default: the default nose shape)
+        count - maximum number of formants to return (default 4)
+        maxFrequency - highest frequency to look for formants at, in Hz (default 5000)
+        fftSize - length of the analysed impulse response, a power of 2 (default 16384). Smaller
+            sizes are faster but coarser, 2048 is still within a few Hz for most shapes
+*/
+export function getFormants(d, options = {}) {
+    const {
+        velum = 0.01,
+        noseDiameters = null,
+        count = 4,
+        maxFrequency = 5000,
+        fftSize = 16384
+    } = options;
+
+    const magnitudes = getSpectrum(impulseResponse(d, velum, noseDiameters, fftSize));
+    const binWidth = SAMPLE_RATE / fftSize;
+    const lastBin = Math.min(Math.floor(maxFrequency / binWidth), fftSize / 2 - 2);
+    const dB = magnitudes.map((m) => 20 * Math.log10(m + 1e-12));
+
+    const formants = [];
+    for (let i = 1; i <= lastBin && formants.length < count; i++) {
+        if (!(dB[i] > dB[i-1] && dB[i] >= dB[i+1])) continue;
+        if (getProminence(dB, i) < MIN_PROMINENCE) continue;
+
+        //parabolic interpolation between bins
+        const offset = 0.5 * (dB[i-1] - dB[i+1]) / (dB[i-1] - 2 * dB[i] + dB[i+1]);
+        const bandwidth = getBandwidth(magnitudes, i);
+        formants.push({
+            frequency: (i + offset) * binWidth,
+            bandwidth: bandwidth === null ? null : bandwidth * binWidth
+        });
+    }
+    return formants;
+}
+
+//impulse response of a tract held at the given shape
+function impulseResponse(d, velum, noseDiameters, length) {
+    const tract = new Tract(SAMPLE_RATE);
+    tract.queueShape({td: d, d});
+    if (noseDiameters) tract.queueShape({nd: noseDiameters});
+
+    //jump straight to the shape and hold it, without transients
+    const params = {"n": d.length, "velum-target": velum, "movement-speed": -1, "fricative-strength": 0};
+    const silence = new Float32Array(BLOCK_LENGTH);
+    const response = new Float64Array(length);
+
+    //let the reflections settle on the new shape before the impulse
+    for (let b = 0; b < 2; b++) tract.process(silence, silence, params);
+
+    const source = new Float32Array(BLOCK_LENGTH);
+    source[0] = 1;
+    for (let offset = 0; offset < length; offset += BLOCK_LENGTH) {
+        const block = tract.process(offset ? silence : source, silence, params);
+        response.set(block.subarray(0, length - offset), offset);
+    }
+    return response;
+}
+
+//magnitude spectrum of a real signal (of a power of 2 length), up to the Nyquist frequency
+function getSpectrum(signal) {
+    const re = Float64Array.from(signal);
+    const im = new Float64Array(signal.length);
+    fft(re, im);
+    return new Float64Array(signal.length / 2 + 1).map((v, i) => Math.hypot(re[i], im[i]));
+}
+
+//in-place iterative radix-2 FFT. length must be a power of 2
+function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < size / 2; k++) {
+                const wr = Math.cos(angle * k), wi = Math.sin(angle * k);
+                const a = start + k, b = a + size / 2;
+                const tr = re[b] * wr - im[b] * wi;
+                const ti = re[b] * wi + im[b] * wr;
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+            }
+        }
+    }
+}
+
+//height of a peak above the higher of the valleys either side of it
+function getProminence(dB, peak) {
+    let left = dB[peak], right = dB[peak];
+    for (let i = peak - 1; i >= 0 && dB[i] <= dB[peak]; i--) left = Math.min(left, dB[i]);
+    for (let i = peak + 1; i < dB.length && dB[i] <= dB[peak]; i++) right = Math.min(right, dB[i]);
+    return dB[peak] - Math.max(left, right);
+}
+
+//width of a peak between the points 3dB below it, in bins. When the spectrum doesn't fall 3dB
+//on one side before rising again, the width on the other side is doubled
+function getBandwidth(magnitudes, peak) {
+    const half = magnitudes[peak] / Math.SQRT2;
+    const edge = (direction) => {
+        for (let i = peak + direction; i > 0 && i < magnitudes.length; i += direction) {
+            if (magnitudes[i] > magnitudes[i - direction]) return null;
+            if (magnitudes[i] <= half) {
+                const t = (magnitudes[i - direction] - half) / (magnitudes[i - direction] - magnitudes[i]);
+                return Math.abs(i - direction + t * direction - peak);
+            }
+        }
+        return null;
+    };
+    const left = edge(-1), right = edge(1);
+    if (left === null && right === null) return null;
+    if (left === null) return 2 * right;
+    if (right === null) return 2 * left;
+    return left + right;
+}
@@ -0,0 +1,170 @@
+/*
+    MIDI input for MPT_Voices
+
+    Note on/off play the bound voices (one note per voice, oldest note stolen
+    when all voices are busy) or a VoicePool, velocity drives intensity or tenseness-mult,
+    pitch bend drives pitchbend and CCs can be mapped to any voice AudioParam.
+
+    Messages come from a Web MIDI input port, or any object that dispatches
+    "midimessage" events with a data array, or can be passed in directly
+    with handleMessage():
+
+        const midi = new MIDIBinding(voices);
+        const access = await navigator.requestMIDIAccess();
+        for (let input of access.inputs.values()) midi.connect(input);
+        midi.mapCC(1, "glottis", "vibrato-amount", 0, 0.05);
+*/
+import { getParam } from "./timeline.js";
+
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xb0;
+const PITCH_BEND = 0xe0;
+const ALL_NOTES_OFF = 123;
+
+export class MIDIBinding {
+
+    //notes currently held, as {note, voice}, oldest first
+    notes = [];
+    //MIDI CC number: {node, param, min, max}
+    ccMap = new Map();
+    //ports connected with connect()
+    ports = new Map();
+
+    /*
+        voices - an MPT_Voice, array of MPT_Voices or a VoicePool to play.
+            A VoicePool allocates its own voices, using its own stealing and velocity options
+        options (all optional):
+            channel - MIDI channel to listen to (0-15), default all channels
+            velocityTarget - glottis param driven by note velocity, "intensity" (default) or "tenseness-mult"
+            pitchBendRange - pitch bend range in semitones (default 2)
+            timeConstant - smoothing time constant of param changes, in seconds (default 0.01)
+    */
+    constructor(voices, options = {}) {
+        this.pool = voices.noteOn ? voices : null;
+        this.voices = this.pool ? this.pool.voices : [voices].flat();
+        this.channel = options.channel ?? null;
+        this.velocityTarget = options.velocityTarget ?? "intensity";
+        this.pitchBendRange = options.pitchBendRange ?? 2;
+        this.timeConstant = options.timeConstant ?? 0.01;
+
+        //voices are silent until played
+        if (!this.pool) for (let voice of this.voices) this.silence(voice);
+    }
+
+    //start listening to a Web MIDI input port (or any source of "midimessage" events)
+    connect(port) {
+        if (this.ports.has(port)) return;
+        const listener = (e) => this.handleMessage(e.data);
+        this.ports.set(port, listener);
+        port.addEventListener("midimessage", listener);
+        port.open?.();
+    }
+
+    //stop listening to a port, or to all ports
+    disconnect(port) {
+        for (let [p, listener] of this.ports) {
+            if (port && p != port) continue;
+            p.removeEventListener("midimessage", listener);
+            this.ports.delete(p);
+        }
+    }
+
+    //map a MIDI CC to a voice AudioParam. node is "glottis", "tract" or "gain".
+    //CC values 0-127 are scaled to min-max
+    mapCC(cc, node, param, min = 0, max = 1) {
+        this.ccMap.set(cc, {node, param, min, max});
+    }
+
+    unmapCC(cc) {
+        this.ccMap.delete(cc);
+    }
+
+    //handle one MIDI message, as an array of bytes
+    handleMessage(data) {
+        const [status, data1 = 0, data2 = 0] = data;
+        const type = status & 0xf0;
+        if (type < NOTE_OFF) return; //running status and system messages aren't handled
+        if (this.channel !== null && (status & 0x0f) != this.channel) return;
+
+        switch (type) {
+            case NOTE_ON:
+                if (data2 > 0) this.noteOn(data1, data2 / 127);
+                else this.noteOff(data1);
+                break;
+            case NOTE_OFF:
+                this.noteOff(data1);
+                break;
+            case PITCH_BEND:
+                this.pitchBend(((data2 << 7 | data1) - 8192) / 8192);
+                break;
+            case CONTROL_CHANGE:
+                if (data1 == ALL_NOTES_OFF) this.allNotesOff();
+                else this.controlChange(data1, data2 / 127);
+                break;
+        }
+    }
+
+    //play a MIDI note number at a velocity from 0-1, on a free voice or the voice of the oldest note
+    noteOn(note, velocity = 1) {
+        this.noteOff(note);
+        if (this.pool) {
+            this.notes.push({note, voice: this.pool.noteOn(note, velocity)});
+            return;
+        }
+
+        let voice = this.voices.find((v) => !this.notes.some((n) => n.voice == v));
+        if (!voice) voice = this.notes.shift()?.voice;
+        if (!voice) return;
+
+        const now = voice.ctx.currentTime;
+        getParam(voice, "glottis", "frequency").setValueAtTime(440 * Math.pow(2, (note - 69) / 12), now);
+        if (this.velocityTarget == "intensity") {
+            this.setTarget(voice, "intensity", velocity);
+        } else {
+            this.setTarget(voice, this.velocityTarget, velocity);
+            this.setTarget(voice, "intensity", 1);
+        }
+
+        this.notes.push({note, voice});
+    }
+
+    noteOff(note) {
+        const i = this.notes.findIndex((n) => n.note == note);
+        if (i < 0) return;
+        if (this.pool) this.pool.noteOff(note);
+        else this.silence(this.notes[i].voice);
+        this.notes.splice(i, 1);
+    }
+
+    allNotesOff() {
+        if (this.pool) this.pool.allNotesOff();
+        else for (let {voice} of this.notes) this.silence(voice);
+        this.notes = [];
+    }
+
+    //bend all voices by an amount from -1 to 1 of the pitch bend range
+    pitchBend(amount) {
+        for (let voice of this.voices) this.setTarget(voice, "pitchbend", amount * this.pitchBendRange);
+    }
+
+    //set the param mapped to a CC on all voices, from a value from 0-1
+    controlChange(cc, value) {
+        const mapping = this.ccMap.get(cc);
+        if (!mapping) return;
+        const {node, param, min, max} = mapping;
+        for (let voice of this.voices) {
+            getParam(voice, node, param)
+                .setTargetAtTime(min + (max - min) * value, voice.ctx.currentTime, this.timeConstant);
+        }
+    }
+
+    setTarget(voice, glottisParam, value) {
+        getParam(voice, "glottis", glottisParam)
+            .setTargetAtTime(value, voice.ctx.currentTime, this.timeConstant);
+    }
+
+    silence(voice) {
+        this.setTarget(voice, "intensity", 0);
+    }
+}
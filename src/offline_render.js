@@ -0,0 +1,106 @@
+/*
+    Offline rendering of MPT_Voices through an OfflineAudioContext
+
+    Voices are created headless (no canvas) inside a new OfflineAudioContext,
+    their timelines (see timeline.js) are scheduled, and the context is rendered
+    faster than real time.
+*/
+import { MPT_Voice } from "./pink_trombone_script.js";
+import { getTimelineDuration } from "./timeline.js";
+
+export const PROCESSOR_URL = new URL("./pink_trombone_processor.js", import.meta.url);
+
+/*
+    render voices to an AudioBuffer. options:
+        voices - array of voice settings (default one voice with default settings), each (all optional):
+            name - voice name
+            n - tract length, in segments
+            gain - voice gain
+            options - MPT_Voice options (ex. {oversample: 2})
+            timeline - parameter automation timeline to replay
+            stretch, transpose - timeline playback options (see scheduleTimeline)
+            setup(voice, ctx) - called once the voice is created, before rendering starts.
+                Use it for anything else to schedule (ex. voice.speak()). May be async.
+        duration - length of the render, in seconds (default: end of the longest timeline + 1s,
+            1s without timelines)
+        sampleRate - default 44100
+        numberOfChannels - default 2
+        processorURL - URL of pink_trombone_processor.js, if it can't be found next to this module
+*/
+export async function renderOffline(options = {}) {
+    const {
+        voices = [{}],
+        sampleRate = 44100,
+        numberOfChannels = 2,
+        processorURL = PROCESSOR_URL
+    } = options;
+    if (!Array.isArray(voices)) throw new Error("Offline render voices must be an array of voice settings");
+    voices.forEach((settings, i) => {
+        if (typeof settings != "object" || !settings) throw new Error(`Offline render voice ${i} isn't an object of settings`);
+    });
+    const duration = options.duration ??
+        Math.max(0, ...voices.map((v) => getTimelineDuration(v.timeline ?? []) * (v.stretch ?? 1))) + 1;
+    if (!(duration > 0 && duration < Infinity)) throw new Error(`Invalid offline render duration ${duration}`);
+
+    const ctx = new OfflineAudioContext(numberOfChannels, Math.ceil(duration * sampleRate), sampleRate);
+    await ctx.audioWorklet.addModule(processorURL);
+
+    for (let [i, settings] of voices.entries()) {
+        const voice = new MPT_Voice(settings.name ?? `offline${i}`, ctx, null, settings.options);
+        if (settings.n !== undefined) voice.setN(settings.n);
+        if (settings.gain !== undefined) voice.setGain(settings.gain);
+        if (settings.timeline) voice.playTimeline(settings.timeline, 0, settings);
+        voice.connect(ctx.destination);
+        await settings.setup?.(voice, ctx);
+    }
+
+    return ctx.startRendering();
+}
+
+//render voices (see renderOffline) to a WAV file Blob
+export async function renderOfflineWAV(options = {}, bitDepth = 16) {
+    return encodeWAV(await renderOffline(options), bitDepth);
+}
+
+//encode an AudioBuffer as a WAV file Blob, as 16-bit integer or 32-bit float PCM
+export function encodeWAV(buffer, bitDepth = 16) {
+    if (bitDepth != 16 && bitDepth != 32) throw new Error(`Unsupported WAV bit depth ${bitDepth}`);
+
+    const channels = buffer.numberOfChannels;
+    const bytesPerSample = bitDepth / 8;
+    const dataLength = buffer.length * channels * bytesPerSample;
+    const view = new DataView(new ArrayBuffer(44 + dataLength));
+
+    const writeString = (offset, s) => {
+        for (let i = 0; i < s.length; i++) view.setUint8(offset + i, s.charCodeAt(i));
+    };
+
+    writeString(0, "RIFF");
+    view.setUint32(4, 36 + dataLength, true);
+    writeString(8, "WAVE");
+    writeString(12, "fmt ");
+    view.setUint32(16, 16, true);
+    view.setUint16(20, bitDepth == 32 ? 3 : 1, true); //3 = IEEE float, 1 = PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, buffer.sampleRate, true);
+    view.setUint32(28, buffer.sampleRate * channels * bytesPerSample, true);
+    view.setUint16(32, channels * bytesPerSample, true);
+    view.setUint16(34, bitDepth, true);
+    writeString(36, "data");
+    view.setUint32(40, dataLength, true);
+
+    const channelData = [];
+    for (let c = 0; c < channels; c++) channelData.push(buffer.getChannelData(c));
+
+    let offset = 44;
+    for (let i = 0; i < buffer.length; i++) {
+        for (let c = 0; c < channels; c++) {
+            const sample = channelData[c][i];
+            if (bitDepth == 32) view.setFloat32(offset, sample, true);
+            else view.setInt16(offset, Math.max(-1, Math.min(1, sample)) * 0x7fff, true);
+            offset += bytesPerSample;
+        }
+    }
+
+    return new Blob([view], {type: "audio/wav"});
+}
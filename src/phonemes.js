@@ -0,0 +1,277 @@
+/*
+    Text-to-articulation for MPT_Voice.speak()
+
+    Phoneme positions are taken from the vowel and consonant labels drawn in
+    TractUI.drawPositions(), which places them for a tract of length 44.
+    Indices are scaled to the voice's current tract length when scheduled.
+
+    Constriction diameters are given as AudioParam values, i.e. the UI label
+    height minus the 0.3 offset that TractUI.handleTouches() subtracts:
+        nasals -1.1, stops -0.4, fricatives 0.5, approximants 0.9
+*/
+
+const NASAL = -1.1 - 0.3;
+const STOP = -0.4 - 0.3;
+const FRICATIVE = 0.5 - 0.3;
+const APPROXIMANT = 0.9 - 0.3;
+
+//constriction-diameter at which a constriction no longer affects the tract
+const OPEN = 3;
+
+//vowel heights from drawPositions(): a + b * height
+const vowel = (index, height, lip = 1.5) => ({
+    type: "vowel", index, diameter: 2 + 1.5 * height, lip, voiced: true, duration: 0.16
+});
+const consonant = (type, index, diameter, voiced, duration, extra = {}) => ({
+    type, index, diameter, voiced, duration, ...extra
+});
+
+//built-in phoneme table, keyed by IPA symbol. index values are for a tract of length 44
+export const PHONEMES = {
+    //vowels
+    "æ": vowel(15, 0.60), //pat
+    "ɑ": vowel(13, 0.27), //part
+    "ɒ": vowel(12, 0.00), //pot
+    "ɔ": vowel(17.7, 0.05, 0.9), //port (rounded)
+    "ɪ": vowel(27, 0.65), //pit
+    "i": vowel(27.4, 0.21), //peat
+    "e": vowel(20, 1.00), //pet
+    "ʌ": vowel(18.1, 0.37), //putt
+    "u": vowel(23, 0.10, 0.5), //poot (rounded)
+    "ə": vowel(21, 0.60), //pert
+    "ʊ": vowel(22, 0.45, 0.9), //put (not drawn in the UI, between ʌ and u)
+    "o": vowel(20, 0.15, 0.7), //(not drawn in the UI, between ɔ and u)
+
+    //stops
+    "k": consonant("stop", 22, STOP, false, 0.08),
+    "g": consonant("stop", 22, STOP, true, 0.08),
+    "t": consonant("stop", 35, STOP, false, 0.07),
+    "d": consonant("stop", 35, STOP, true, 0.07),
+    "p": consonant("stop", 41.5, STOP, false, 0.08),
+    "b": consonant("stop", 41.5, STOP, true, 0.08),
+
+    //nasals
+    "ŋ": consonant("nasal", 22, NASAL, true, 0.09),
+    "n": consonant("nasal", 35, NASAL, true, 0.09),
+    "m": consonant("nasal", 41, NASAL, true, 0.09),
+
+    //fricatives
+    "ʃ": consonant("fricative", 33, FRICATIVE, false, 0.13),
+    "ʒ": consonant("fricative", 33, FRICATIVE, true, 0.11),
+    "s": consonant("fricative", 36.5, FRICATIVE, false, 0.13),
+    "z": consonant("fricative", 36.5, FRICATIVE, true, 0.11),
+    "θ": consonant("fricative", 38, FRICATIVE, false, 0.12), //(not drawn in the UI, between s and f)
+    "ð": consonant("fricative", 38, FRICATIVE, true, 0.09),
+    "f": consonant("fricative", 39.5, FRICATIVE, false, 0.12),
+    "v": consonant("fricative", 39.5, FRICATIVE, true, 0.09),
+    "h": consonant("fricative", 4.5, 0.37 - 0.3, false, 0.09),
+
+    //approximants
+    "l": consonant("approximant", 38, APPROXIMANT, true, 0.07),
+    "w": consonant("approximant", 41, APPROXIMANT, true, 0.07, {lip: 0.4}),
+    "ɹ": consonant("approximant", 28.6, APPROXIMANT, true, 0.08),
+    "j": consonant("approximant", 27.4, APPROXIMANT, true, 0.06), //(not drawn in the UI, at i)
+};
+
+//alternative spellings of symbols in the table
+const ALIASES = {
+    "a": "æ", "ɛ": "e", "ɜ": "ə", "ɐ": "ʌ", "ɡ": "g", "r": "ɹ", "ɾ": "d", "y": "j", "ɫ": "l"
+};
+
+//multi-character symbols, expanded into table symbols
+const SEQUENCES = {
+    "tʃ": ["t", "ʃ"],
+    "dʒ": ["d", "ʒ"],
+    "ɚ": ["ə", "ɹ"],
+    "ɝ": ["ə", "ɹ"],
+};
+
+const ARPABET = {
+    AA: "ɑ", AE: "æ", AH: "ʌ", AO: "ɔ", AW: "aʊ", AY: "aɪ", EH: "ɛ", ER: "ɝ", EY: "eɪ",
+    IH: "ɪ", IY: "i", OW: "oʊ", OY: "ɔɪ", UH: "ʊ", UW: "u",
+    B: "b", CH: "tʃ", D: "d", DH: "ð", F: "f", G: "g", HH: "h", JH: "dʒ", K: "k", L: "l",
+    M: "m", N: "n", NG: "ŋ", P: "p", R: "ɹ", S: "s", SH: "ʃ", T: "t", TH: "θ", V: "v",
+    W: "w", Y: "j", Z: "z", ZH: "ʒ"
+};
+
+const ARPABET_PATTERN = /^\s*[A-Z]{1,2}[0-2]?(\s+[A-Z]{1,2}[0-2]?|\s*[,.?!]\s*)*\s*$/;
+
+//convert an ARPAbet string ("HH AH0 L OW1") to IPA
+export function arpabetToIPA(text) {
+    return text.replace(/([,.?!])/g, " $1 ").trim().split(/\s+/).map((token) => {
+        if (/^[,.?!]$/.test(token)) return token;
+        let [, code, stress] = token.match(/^([A-Z]+)([0-2]?)$/);
+        let ipa = ARPABET[code];
+        if (!ipa) throw new Error(`Unknown ARPAbet phoneme "${token}"`);
+        //AH0 is the unstressed schwa
+        if (code == "AH" && stress == "0") ipa = "ə";
+        return (stress == "1" ? "ˈ" : stress == "2" ? "ˌ" : "") + ipa;
+    }).join("");
+}
+
+/*
+    parse an IPA (or ARPAbet) string into a list of phonemes:
+        {symbol, stress, long} for table entries
+        {symbol: " ", pause} for punctuation
+    stress marks (ˈ ˌ) apply to the next vowel, ː lengthens the previous phoneme.
+    spaces between words are ignored
+*/
+export function parsePhonemes(text, table = PHONEMES) {
+    if (ARPABET_PATTERN.test(text)) text = arpabetToIPA(text);
+
+    let phonemes = [];
+    let stress = 0;
+    let chars = Array.from(text.normalize("NFC"));
+
+    for (let i = 0; i < chars.length; i++) {
+        let c = chars[i];
+
+        if (c == "ˈ") { stress = 1; continue; }
+        if (c == "ˌ") { stress = 0.5; continue; }
+        if (c == "ː" || c == ":") {
+            if (phonemes.length) phonemes[phonemes.length-1].long = true;
+            continue;
+        }
+        if (/[,.?!;]/.test(c)) {
+            phonemes.push({symbol: " ", pause: c == "," ? 0.15 : 0.3});
+            continue;
+        }
+        //whitespace, tie bars and other diacritics
+        if (/[\s\u0300-\u036f\u02b0-\u02b7]/.test(c)) continue;
+
+        let pair = c + (chars[i+1] || "");
+        let symbols = SEQUENCES[pair] || SEQUENCES[c];
+        if (SEQUENCES[pair]) i++;
+        if (!symbols) symbols = [ALIASES[c] || c];
+
+        for (let symbol of symbols) {
+            let phoneme = table[symbol];
+            if (!phoneme) throw new Error(`Unknown phoneme "${symbol}" in "${text}"`);
+            let p = {symbol, stress: 0, long: false};
+            if (phoneme.type == "vowel") {
+                p.stress = stress;
+                stress = 0;
+            }
+            phonemes.push(p);
+        }
+    }
+    return phonemes;
+}
+
+//intensity each voice had before it started speaking, and when its utterance ends. An utterance
+//that starts before the last one has ended restores the same level, not one caught mid-fade
+const utterances = new WeakMap();
+
+/*
+    schedule a phoneme string on the AudioParams of an MPT_Voice. Returns a promise
+    that resolves once the utterance has finished playing.
+
+    options:
+        startTime - AudioContext time to start speaking at (default now)
+        rate - speaking rate multiplier (default 1)
+        coarticulation - how far articulators lag behind their targets, as a fraction of
+            each phoneme's duration. Articulators also start moving this fraction of the
+            previous phoneme early, towards the next target (default 0.3)
+        intensity - glottis intensity while speaking (default 1). The voice fades out at the end
+            of the utterance, then goes back to the intensity it had before (before the first
+            utterance, if they overlap)
+        table - phoneme table to use instead of PHONEMES
+*/
+export function speak(voice, text, options = {}) {
+    const {
+        startTime = voice.ctx.currentTime,
+        rate = 1,
+        coarticulation = 0.3,
+        intensity = 1,
+        table = PHONEMES
+    } = options;
+
+    const tractParam = (name) => voice.tract.parameters.get(name);
+    const glottisParam = (name) => voice.glottis.parameters.get(name);
+    const params = {
+        tongueIndex: tractParam("tongue-index"),
+        tongueDiameter: tractParam("tongue-diameter"),
+        lip: tractParam("lip-diameter"),
+        cIndex: tractParam("constriction-index"),
+        cDiameter: tractParam("constriction-diameter"),
+        velum: tractParam("velum-target"),
+        tensenessMult: glottisParam("tenseness-mult"),
+        intensity: glottisParam("intensity")
+    };
+    const last = utterances.get(voice);
+    const previousIntensity = last && last.endTime > startTime ? last.intensity : params.intensity.value;
+    for (let name in params) {
+        params[name].cancelScheduledValues(startTime);
+        params[name].setValueAtTime(params[name].value, startTime);
+    }
+
+    const scale = tractParam("n").value / 44;
+    const phonemes = parsePhonemes(text, table);
+
+    let time = startTime;
+    let constricted = false;
+    params.intensity.setTargetAtTime(intensity, time, 0.02);
+
+    phonemes.forEach((p, i) => {
+        if (p.pause) {
+            let duration = p.pause / rate;
+            params.intensity.setTargetAtTime(0, time, 0.03);
+            params.intensity.setTargetAtTime(intensity, time + duration * 0.8, 0.02);
+            time += duration;
+            return;
+        }
+
+        let entry = table[p.symbol];
+        let duration = entry.duration * (1 + 0.3 * p.stress) * (p.long ? 1.6 : 1) / rate;
+        let tc = Math.max(duration * coarticulation, 0.005);
+        let onset = Math.max(startTime, time - tc);
+
+        if (entry.type == "vowel") {
+            params.tongueIndex.setTargetAtTime(entry.index * scale, onset, tc);
+            params.tongueDiameter.setTargetAtTime(entry.diameter, onset, tc);
+            //release any constriction without sliding it across the tract
+            params.cDiameter.setTargetAtTime(OPEN, onset, tc);
+            constricted = false;
+        } else {
+            //tongue body anticipates the next vowel while the consonant is held
+            let next = phonemes.slice(i + 1).find((q) => table[q.symbol]?.type == "vowel");
+            if (next) {
+                params.tongueIndex.setTargetAtTime(table[next.symbol].index * scale, onset, tc * 2);
+                params.tongueDiameter.setTargetAtTime(table[next.symbol].diameter, onset, tc * 2);
+            }
+            if (constricted) params.cIndex.setTargetAtTime(entry.index * scale, onset, tc);
+            else params.cIndex.setValueAtTime(entry.index * scale, onset);
+            params.cDiameter.setTargetAtTime(entry.diameter, onset, tc);
+            constricted = true;
+        }
+
+        params.lip.setTargetAtTime(entry.lip ?? 1.5, onset, tc);
+        params.velum.setTargetAtTime(entry.type == "nasal" ? 0.4 : 0.01, onset, tc);
+        params.tensenessMult.setTargetAtTime(entry.voiced ? 1 : 0, onset, tc * 0.5);
+
+        time += duration;
+    });
+
+    //release the last constriction and fade out
+    params.cDiameter.setTargetAtTime(OPEN, time, 0.03);
+    params.velum.setTargetAtTime(0.01, time, 0.03);
+    params.tensenessMult.setTargetAtTime(1, time, 0.03);
+    params.intensity.setTargetAtTime(0, time, 0.03);
+
+    const endTime = time + 0.15;
+    params.intensity.setTargetAtTime(previousIntensity, endTime, 0.02);
+    utterances.set(voice, {intensity: previousIntensity, endTime});
+
+    //a silent source scheduled to stop at the end of the utterance tells us when it's done,
+    //in both real-time and offline contexts. Some engines only run sources that are connected
+    return new Promise((resolve) => {
+        const timer = new ConstantSourceNode(voice.ctx, {offset: 0});
+        timer.onended = () => {
+            timer.disconnect();
+            resolve();
+        };
+        timer.connect(voice.ctx.destination);
+        timer.start(startTime);
+        timer.stop(endTime);
+    });
+}
@@ -0,0 +1,1442 @@
+/*
+    Modular Pink Trombone - DSP core
+    By Yonatan Rozin
+
+    The glottis, vocal tract and nasal tract models as plain classes, with no
+    dependency on AudioWorkletProcessor or the AudioWorkletGlobalScope. The
+    AudioWorkletProcessors in pink_trombone_processor.js are thin wrappers
+    around these, and they can also be run directly (ex. in Node) by calling
+    process() with blocks of input samples:
+
+        const glottis = new Glottis(44100, {seed: 1});
+        const tract = new Tract(44100, {seed: 1});
+        const {output, noiseModulator} = glottis.process({frequency: 220});
+        const samples = tract.process(output, noiseModulator, {"tongue-index": 20});
+
+    Params are passed as an object of AudioParam name: value, where value is a
+    number or an array holding either one value for the whole block or one value
+    per sample (like AudioWorkletProcessor params). Missing params use their
+    default values.
+
+    Aspiration and fricative noise are generated inside the Glottis and Tract,
+    from seeded white noise, so the same seed and params always give the same samples.
+
+    Built using Pink Trombone
+    version 1.1, March 2017
+    by Neil Thapen
+    venuspatrol.nfshost.com
+
+    Copyright 2017 Neil Thapen
+
+    Permission is hereby granted, free of charge, to any person obtaining a
+    copy of this software and associated documentation files (the "Software"),
+    to deal in the Software without restriction, including without limitation
+    the rights to use, copy, modify, merge, publish, distribute, sublicense,
+    and / or sell copies of the Software, and to permit persons to whom the
+    Software is furnished to do so, subject to the following conditions:
+
+    The above copyright notice and this permission notice shall be included in
+    all copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+    IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+    FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.IN NO EVENT SHALL THE
+    AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+    LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+    FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS
+    IN THE SOFTWARE.
+*/
+import Noise from "./noise.js";
+
+function clamp(number, min, max) {
+  if (number < min) return min;
+  else if (number > max) return max;
+  else return number;
+}
+
+function moveTowards(current, target, amountUp, amountDown) {
+  if (current < target) return Math.min(current + amountUp, target);
+  else return Math.max(current - amountDown, target);
+}
+
+//default value of every param, by name
+function getDefaults(descriptors) {
+  return Object.fromEntries(descriptors.map((d) => [d.name, d.defaultValue]));
+}
+
+//{defaultValue, minValue, maxValue} of every param, by name
+function getSpecs(descriptors) {
+  return Object.fromEntries(descriptors.map((d) => [d.name, {
+    defaultValue: d.defaultValue,
+    minValue: d.minValue ?? -Infinity,
+    maxValue: d.maxValue ?? Infinity
+  }]));
+}
+
+//diameters of a waveguide with k segments per tract segment, interpolated between segment centres
+function subdivide(d, k, out = new Float64Array(d.length * k)) {
+  if (k == 1) {
+    out.set(d);
+    return out;
+  }
+  for (let f = 0; f < out.length; f++) {
+    const x = clamp((f + 0.5) / k - 0.5, 0, d.length - 1);
+    const i = Math.floor(x);
+    const t = x - i;
+    out[f] = t ? d[i] * (1 - t) + d[i+1] * t : d[i];
+  }
+  return out;
+}
+
+//seeded uniform random numbers (mulberry32). Generators with the same seed and different
+//streams give unrelated sequences
+export class Random {
+
+  constructor(seed = Math.random(), stream = 0) {
+    this.stream = stream;
+    this.seed(seed);
+  }
+
+  //restart from a seed, an integer or a number between 0 and 1
+  seed(seed) {
+    if (seed > 0 && seed < 1) seed *= 4294967296;
+    this.state = (Math.floor(seed) + this.stream) >>> 0;
+  }
+
+  //uniform random number in [0, 1)
+  random() {
+    let t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+}
+
+/*
+  seeded white noise through a bandpass filter, for aspiration and fricative noise.
+  The filter has the response of a "bandpass" BiquadFilterNode, the noise is
+  uniform in [0, 1) like the noise buffer of the original
+*/
+export class BandpassNoise extends Random {
+
+  constructor(sampleRate, seed = Math.random()) {
+    super(seed);
+    this.sampleRate = sampleRate;
+    this.setFilter(1000, 0.5);
+  }
+
+  //restart the noise from a seed, an integer or a number between 0 and 1
+  seed(seed) {
+    super.seed(seed);
+    this.x1 = this.x2 = this.y1 = this.y2 = 0;
+  }
+
+  setFilter(frequency, Q) {
+    if (frequency == this.frequency && Q == this.Q) return;
+    this.frequency = frequency;
+    this.Q = Q;
+    const w0 = 2 * Math.PI * clamp(frequency, 1, this.sampleRate / 2 - 1) / this.sampleRate;
+    const alpha = Math.sin(w0) / (2 * Math.max(Q, 0.0001));
+    const a0 = 1 + alpha;
+    this.b0 = alpha / a0;
+    this.a1 = -2 * Math.cos(w0) / a0;
+    this.a2 = (1 - alpha) / a0;
+  }
+
+  next() {
+    const x = this.random();
+    const y = this.b0 * (x - this.x2) - this.a1 * this.y1 - this.a2 * this.y2;
+    this.x2 = this.x1;
+    this.x1 = x;
+    this.y2 = this.y1;
+    this.y1 = y;
+    return y;
+  }
+}
+
+//value of a param at sample j of the current block, clamped to its range (a NaN gives the default value).
+//the names of params that had to be clamped are added to the clamped Set
+function paramValue(params, name, j, specs, clamped) {
+  let value = params[name];
+  const spec = specs[name];
+  if (value === undefined) return spec.defaultValue;
+  if (typeof value != "number") value = value.length > 1 ? value[j] : value[0];
+  if (value >= spec.minValue && value <= spec.maxValue) return value;
+
+  clamped.add(name);
+  if (Number.isNaN(value)) return spec.defaultValue;
+  return clamp(value, spec.minValue, spec.maxValue);
+}
+
+//peak amplitude (|R + L|) of each segment of a waveguide with k waveguide segments per segment,
+//decaying while it isn't exceeded (like maxAmplitude in the original, which the GUI drew)
+function updateMaxAmplitude(maxAmplitude, R, L, k) {
+  for (let i = 0; i < maxAmplitude.length; i++) {
+    let amplitude = 0;
+    for (let f = i * k; f < (i + 1) * k; f++) amplitude = Math.max(amplitude, Math.abs(R[f] + L[f]));
+    if (amplitude > maxAmplitude[i]) maxAmplitude[i] = amplitude;
+    else maxAmplitude[i] *= 0.999;
+  }
+}
+
+//true if every sample of a block is a finite number
+function isFiniteBlock(block) {
+  let sum = 0;
+  for (let j = 0; j < block.length; j++) sum += block[j];
+  return Number.isFinite(sum);
+}
+
+export class Glottis {
+  static get parameterDescriptors() {
+    return [
+      //frequency: sets the fundamental pitch of the voice
+      {
+        name: "frequency",
+        defaultValue: 140,
+        minValue: 20,
+        maxValue: 2000,
+        automationRate: "k-rate"
+      },
+      //intensity: volume of voiced (pitched) aspect of the voice. Does not affect fricatives and transients.
+      {
+        name: "intensity",
+        defaultValue: 1,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: "a-rate"
+      },
+      //tenseness: affects base voice timbre, from "breathy" to "strained"
+      {
+        name: "tenseness",
+        defaultValue: 0.6,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: "k-rate"
+      },
+      //a multiplier of the tenseness value. Scales final tenseness value between 0 and tenseness param
+      {
+        name: "tenseness-mult",
+        defaultValue: 1,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: "a-rate"
+      },
+      //vibrato amount - affects width of vibrato (pitch oscillation)
+      {
+        name: "vibrato-amount",
+        defaultValue: 0.005,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: "k-rate"
+      },
+      //vibrato frequency - affects speed of vibrato
+      {
+        name: "vibrato-frequency",
+        defaultValue: 6,
+        minValue: 0,
+        maxValue: 100,
+        automationRate: "k-rate"
+      },
+      //pitchbend - adjusts the fundamental frequency up or down a specified # of semitones
+      {
+        name: "pitchbend",
+        defaultValue: 0,
+        minValue: -24,
+        maxValue: 24,
+        automationRate: "a-rate"
+      },
+      //always voice - 1 to voice continuously, 0 to only voice while voice-gate is open
+      {
+        name: "always-voice",
+        defaultValue: 1,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: "k-rate"
+      },
+      //voice gate - opened (1) while the voice is played, ex. while the pitch keyboard is touched
+      {
+        name: "voice-gate",
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: "k-rate"
+      },
+      //auto wobble - 1 to add a slow random drift to the pitch
+      {
+        name: "auto-wobble",
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: "k-rate"
+      },
+      //centre frequency and Q of the aspiration (breath) noise bandpass filter
+      {
+        name: "aspiration-frequency",
+        defaultValue: 500,
+        minValue: 20,
+        maxValue: 20000,
+        automationRate: "k-rate"
+      },
+      {
+        name: "aspiration-q",
+        defaultValue: 0.5,
+        minValue: 0.0001,
+        maxValue: 1000,
+        automationRate: "k-rate"
+      },
+      //source model - glottal waveform, an index in Glottis.SOURCE_MODELS: 0 Liljencrants-Fant, 1 Rosenberg,
+      //2 band-limited pulse train, 3 external (the input of the glottis is the excitation)
+      {
+        name: "source-model",
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 3,
+        automationRate: "k-rate"
+      },
+      //jitter - random variation of the length of each glottal period, as a fraction of it (0.01 is a natural 1%)
+      {
+        name: "jitter",
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 0.5,
+        automationRate: "k-rate"
+      },
+      //shimmer - random variation of the amplitude of each glottal period, as a fraction of it
+      {
+        name: "shimmer",
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: "k-rate"
+      },
+      //diplophonia - period doubling: every other period is weaker and the periods alternate in length.
+      //at 1, every other period is silent and the voice drops an octave
+      {
+        name: "diplophonia",
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: "k-rate"
+      },
+      //creak - vocal fry: pulls the pitch down to a very low, irregular rate and presses the voice
+      {
+        name: "creak",
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: "k-rate"
+      }
+    ];
+  }
+  static defaults = getDefaults(Glottis.parameterDescriptors);
+  static specs = getSpecs(Glottis.parameterDescriptors);
+
+  //names of the source-model values
+  static SOURCE_MODELS = ["lf", "rosenberg", "pulse", "external"];
+
+  //code below based on original Pink Trombone Glottis
+
+  //these parameters are written to every "frame" with user-specified AudioParam values 
+  UITenseness = 0.6;
+  UIFrequency = 140;
+  vibratoAmount = 0.005;
+  vibratoFrequency = 6;
+  intensity = 0;
+  loudness = 1;
+  alwaysVoice = true;
+  isTouched = false;
+  autoWobble = false;
+  sourceModel = 0;
+  jitter = 0;
+  shimmer = 0;
+  diplophonia = 0;
+  creak = 0;
+
+  //these parameters are modified by internal methods of the object
+  totalTime = 0;
+  timeInWaveform = 0;
+  waveformLength = 0;
+  oldFrequency = 140;
+  newFrequency = 140;
+  smoothFrequency = 140;
+  oldTenseness = 0.6;
+  newTenseness = 0.6;
+  //amplitude of the current period (shimmer and diplophonia), and whether it's an odd one (diplophonia)
+  periodAmplitude = 1;
+  oddPeriod = false;
+  //voicing envelope, rising while voiced and falling while not. Scales the intensity param
+  voicing = 1;
+
+  //names of the params clamped to their range in the last block
+  clamped = new Set();
+  //set when the last block wasn't finite, and the glottis was reset
+  recovered = false;
+  
+  //options: seed - seed for the glottis noise (random by default)
+  constructor(sampleRate, options = {}) {
+    this.sampleRate = sampleRate;
+    const seed = options.seed ?? Math.random();
+    this.noise = new Noise(seed);
+    this.aspirationNoise = new BandpassNoise(sampleRate, seed);
+    this.perturbation = new Random(seed, 1);
+    this.init();
+  }
+
+  init() {
+    this.setupWaveform(0);
+  }
+
+  //recover from a non-finite (NaN or infinite) state by restarting the waveform at the current frequency and tenseness
+  reset() {
+    this.timeInWaveform = 0;
+    this.oldFrequency = this.newFrequency = this.smoothFrequency = this.UIFrequency;
+    this.oldTenseness = this.newTenseness = this.UITenseness;
+    this.setupWaveform(0);
+    this.recovered = true;
+  }
+
+  //restart from a seed, in the state of a new Glottis with that seed: the vibrato, tenseness wobble,
+  //aspiration noise and period perturbations, and the time, waveform and voicing they drive.
+  //The same params then give the same samples as a fresh render
+  setSeed(seed) {
+    Object.assign(this, new Glottis(this.sampleRate, {seed}));
+  }
+
+  setupWaveform(lambda) {
+    this.frequency = this.oldFrequency * (1-lambda) + this.newFrequency * lambda;
+    let tenseness = this.oldTenseness * (1-lambda) + this.newTenseness * lambda;
+    this.perturbPeriod();
+    tenseness += (1 - tenseness) * 0.5 * this.creak;
+    this.Rd = 3 * (1 - tenseness);
+    this.waveformLength = 1 / this.frequency;
+    
+    let Rd = this.Rd;
+    if (Rd < 0.5) Rd = 0.5;
+    if (Rd > 2.7) Rd = 2.7;
+    // var output;
+    // normalized to time = 1, Ee = 1
+    let Ra = -0.01 + 0.048 * Rd;
+    let Rk = 0.224 + 0.118 * Rd;
+    let Rg = (Rk / 4) * (0.5 + 1.2 * Rk) / (0.11 * Rd - Ra * (0.5 + 1.2 * Rk));
+    
+    let Ta = Ra;
+    let Tp = 1 / (2 * Rg);
+    let Te = Tp + Tp * Rk; 
+    
+    let epsilon = 1 / Ta;
+    let shift = Math.exp(-epsilon * (1-Te));
+    let Delta = 1 - shift; //divide by this to scale RHS
+       
+    let RHSIntegral = (1 / epsilon) * (shift - 1) + (1-Te) * shift;
+    RHSIntegral = RHSIntegral/Delta;
+    
+    let totalLowerIntegral = -(Te-Tp)/2 + RHSIntegral;
+    let totalUpperIntegral = -totalLowerIntegral;
+    
+    let omega = Math.PI / Tp;
+    let s = Math.sin(omega * Te);
+    // need E0*e^(alpha*Te)*s = -1 (to meet the return at -1)
+    // and E0*e^(alpha*Tp/2) * Tp*2/pi = totalUpperIntegral 
+    //             (our approximation of the integral up to Tp)
+    // writing x for e^alpha,
+    // have E0*x^Te*s = -1 and E0 * x^(Tp/2) * Tp*2/pi = totalUpperIntegral
+    // dividing the second by the first,
+    // letting y = x^(Tp/2 - Te),
+    // y * Tp*2 / (pi*s) = -totalUpperIntegral;
+    var y = -Math.PI * s * totalUpperIntegral / (Tp*2);
+    var z = Math.log(y);
+    var alpha = z / (Tp/2 - Te);
+    var E0 = -1 / (s * Math.exp(alpha * Te));
+    this.alpha = alpha;
+    this.E0 = E0;
+    this.epsilon = epsilon;
+    this.shift = shift;
+    this.Delta = Delta;
+    this.Te = Te;
+    this.omega = omega;
+    this.Tp = Tp;
+
+    //odd number of harmonics of the pulse train that fit below the Nyquist frequency
+    this.harmonics = 2 * Math.floor(this.sampleRate / this.frequency / 2) + 1;
+  }
+
+  //irregular phonation: perturb the frequency and amplitude of the period about to start
+  perturbPeriod() {
+    const creak = this.creak;
+    const jitter = this.jitter + 0.2 * creak;
+    const shimmer = this.shimmer + 0.3 * creak;
+
+    //creak pulls the pitch down towards 40Hz
+    if (creak && this.frequency > 40) this.frequency *= Math.pow(40 / this.frequency, creak);
+    this.frequency *= 1 + jitter * (2 * this.perturbation.random() - 1);
+    this.periodAmplitude = Math.max(0, 1 + shimmer * (2 * this.perturbation.random() - 1));
+
+    //odd periods are weaker and longer, even ones shorter, so a pair keeps the pitch's length
+    this.oddPeriod = !this.oddPeriod;
+    if (this.oddPeriod) {
+      this.periodAmplitude *= 1 - this.diplophonia;
+      this.frequency /= 1 + 0.1 * this.diplophonia;
+    }
+    else this.frequency /= 1 - 0.1 * this.diplophonia;
+  }
+
+  //glottal flow derivative of the current source model at time t of a period normalized to 1
+  normalizedWaveform(t) {
+    switch (this.sourceModel) {
+      case 1: return this.normalizedRosenbergWaveform(t);
+      case 2: return this.normalizedPulseWaveform(t);
+      default: return this.normalizedLFWaveform(t);
+    }
+  }
+
+  normalizedLFWaveform(t)
+  {     
+    let output;
+
+    if (t > this.Te) output = (-Math.exp(-this.epsilon * (t - this.Te)) + this.shift) / this.Delta;
+
+    else output = this.E0 * Math.exp(this.alpha * t) * Math.sin(this.omega * t);
+  
+    return output * this.intensity * this.loudness;
+  }
+
+  //derivative of the Rosenberg (trigonometric) pulse, with the opening and closing times of the LF waveform,
+  //no return phase, and the same -1 peak at closure
+  normalizedRosenbergWaveform(t) {
+    const Tp = this.Tp;
+    const Tn = this.Te - Tp;
+    let output;
+
+    if (t < Tp) output = (Tn / Tp) * Math.sin(Math.PI * t / Tp);
+    else if (t < this.Te) output = -Math.sin(Math.PI * (t - Tp) / (2 * Tn));
+    else output = 0;
+
+    return output * this.intensity * this.loudness;
+  }
+
+  //band-limited impulse train (a normalized Dirichlet kernel without its DC), negative like a glottal closure
+  normalizedPulseWaveform(t) {
+    const M = this.harmonics;
+    const denominator = M * Math.sin(Math.PI * t);
+    const pulse = Math.abs(denominator) < 1e-9 ? 1 : Math.sin(Math.PI * M * t) / denominator;
+
+    return -(pulse - 1 / M) * this.intensity * this.loudness;
+  }
+
+  //inputSample - sample of the external excitation, used with the external source model
+  runStep(lambda, noiseSource, inputSample = 0) {
+    let timeStep = 1.0 / this.sampleRate; 
+    this.timeInWaveform += timeStep;
+    this.totalTime += timeStep;
+    if (this.timeInWaveform > this.waveformLength) 
+    {
+      this.timeInWaveform -= this.waveformLength;
+      this.setupWaveform(lambda);
+    }
+    let out = this.sourceModel == 3
+      ? inputSample * this.intensity
+      : this.normalizedWaveform(this.timeInWaveform/this.waveformLength) * this.periodAmplitude;
+    //MODIFIED: multiply aspiration by 3 to match original volume (why do we have to do this?)
+    let aspiration = this.intensity * (1 - Math.sqrt(this.UITenseness)) * this.getNoiseModulator() * noiseSource * 8;
+    aspiration *= 0.2 + 0.02 * this.noise.simplex1(this.totalTime * 1.99);
+    out += aspiration;
+    return out;
+  }
+
+  getNoiseModulator() {
+    let voiced = 0.1 + 0.2 * Math.max(0,Math.sin(Math.PI * 2 * this.timeInWaveform / this.waveformLength));
+    return this.UITenseness * this.intensity * voiced + (1 - this.UITenseness * this.intensity ) * 0.3;
+  }
+
+  //blockLength - number of samples in the block, to keep voicing fade times independent of it
+  finishBlock(blockLength = 512) {
+    let vibrato = 0;
+    vibrato += this.vibratoAmount * Math.sin(2 * Math.PI * this.totalTime * this.vibratoFrequency);          
+    vibrato += 0.02 * this.noise.simplex1(this.totalTime * 4.07);
+    // vibrato += 0.04 * this.noise.simplex1(this.totalTime * 2.15);
+    if (this.autoWobble)
+    {
+      vibrato += 0.2 * this.noise.simplex1(this.totalTime * 0.98);
+      vibrato += 0.4 * this.noise.simplex1(this.totalTime * 0.5);
+    }
+
+    if (this.UIFrequency > this.smoothFrequency) 
+      this.smoothFrequency = Math.min(this.smoothFrequency * 1.1, this.UIFrequency);
+    if (this.UIFrequency < this.smoothFrequency) 
+      this.smoothFrequency = Math.max(this.smoothFrequency / 1.1, this.UIFrequency);
+    this.oldFrequency = this.newFrequency;
+    this.newFrequency = this.smoothFrequency * (1+vibrato);
+    this.oldTenseness = this.newTenseness;
+    this.newTenseness = this.UITenseness
+      + 0.1 * this.noise.simplex1(this.totalTime * 0.46) + 0.05 * this.noise.simplex1(this.totalTime * 0.36);
+    if (!this.isTouched && this.alwaysVoice) this.newTenseness += (3 - this.UITenseness) * (1 - this.voicing);
+
+    //the original stepped intensity by these amounts every 512 samples
+    const step = blockLength / 512;
+    if (this.isTouched || this.alwaysVoice) this.voicing += 0.13 * step;
+    else this.voicing -= 0.05 * step;
+    this.voicing = clamp(this.voicing, 0, 1);
+  }
+
+  /*
+    process one block of samples:
+      params - glottis AudioParam values (see parameterDescriptors)
+      output, noiseModulator (optional) - arrays to write the glottal source and noise modulator into,
+        their length is the block length (default 128)
+      input (optional) - excitation used in place of the glottal waveform by the external source model
+        (default silence)
+    returns {output, noiseModulator}
+  */
+  process(params = {}, 
+    output = new Float32Array(128), 
+    noiseModulator = new Float32Array(output.length),
+    input = null
+  ) {
+    const specs = Glottis.specs;
+    const clamped = this.clamped;
+    clamped.clear();
+    this.recovered = false;
+
+    //update k-rate parameter values for the current block
+    this.vibratoAmount = paramValue(params, "vibrato-amount", 0, specs, clamped);
+    this.vibratoFrequency = paramValue(params, "vibrato-frequency", 0, specs, clamped);
+    const tenseness = paramValue(params, "tenseness", 0, specs, clamped);
+    const frequency = paramValue(params, "frequency", 0, specs, clamped);
+    this.alwaysVoice = paramValue(params, "always-voice", 0, specs, clamped) >= 0.5;
+    this.isTouched = paramValue(params, "voice-gate", 0, specs, clamped) >= 0.5;
+    this.autoWobble = paramValue(params, "auto-wobble", 0, specs, clamped) >= 0.5;
+    this.sourceModel = Math.round(paramValue(params, "source-model", 0, specs, clamped));
+    this.jitter = paramValue(params, "jitter", 0, specs, clamped);
+    this.shimmer = paramValue(params, "shimmer", 0, specs, clamped);
+    this.diplophonia = paramValue(params, "diplophonia", 0, specs, clamped);
+    this.creak = paramValue(params, "creak", 0, specs, clamped);
+    this.aspirationNoise.setFilter(
+      paramValue(params, "aspiration-frequency", 0, specs, clamped), 
+      paramValue(params, "aspiration-q", 0, specs, clamped)
+    );
+
+    //code taken from AudioSystem.doScriptProcessor
+    for (let j = 0, N = output.length; j < N; j++) {
+      //get a-rate parameter values for the current sample
+
+      const tensenessMult = paramValue(params, "tenseness-mult", j, specs, clamped);
+      //get final tenseness by multiplying base tenseness with multiplier for this sample
+      this.UITenseness = tenseness * tensenessMult;
+      this.loudness = Math.pow(tensenessMult * this.UITenseness, 0.25); // loudness is a function of speech tenseness
+      
+      this.intensity = paramValue(params, "intensity", j, specs, clamped) * this.voicing;
+
+      //get final pitch by applying
+      this.UIFrequency = frequency * Math.pow(2, paramValue(params, "pitchbend", j, specs, clamped)/12);
+
+      let lambda1 = j / N;
+      output[j] = this.runStep(lambda1, this.aspirationNoise.next(), input ? input[j] : 0);
+      noiseModulator[j] = this.getNoiseModulator();
+    }
+    this.finishBlock(output.length);
+
+    if (!isFiniteBlock(output)) {
+      this.reset();
+      output.fill(0);
+      noiseModulator.fill(0);
+    }
+
+    return {output, noiseModulator};
+  }
+}
+
+//the nasal tract, branching off the vocal tract at the velum
+export class Nose {
+
+  //code below taken from original Pink Trombone Tract object
+
+  fade = 1.0;
+
+  //diameters posted from outside, used in place of the default nose shape until released
+  override = null;
+
+  //set when the nose shape changes, for wrappers that report it
+  changed = false;
+
+  //oversample - number of waveguide segments per nose segment (see Tract)
+  init(n, oversample = 1) {
+    this.length = Math.floor(28 * n / 44)
+    this.start = n - this.length + 1;
+    this.oversample = oversample;
+    this.m = this.length * oversample;
+    this.R = new Float64Array(this.m);
+    this.L = new Float64Array(this.m);
+    this.junctionOutputR = new Float64Array(this.m+1);
+    this.junctionOutputL = new Float64Array(this.m+1);        
+    this.reflection = new Float64Array(this.m+1);
+    this.diameter = new Float64Array(this.length);
+    this.fineDiameter = new Float64Array(this.m);
+    this.A = new Float64Array(this.m);
+    this.maxAmplitude = new Float64Array(this.length);
+    this.output = 0;
+    this.setDiameters();
+  }
+
+  //shape the nose using the override if there is one, otherwise the default nose shape.
+  //diameter[0] is the velum, which keeps its current opening
+  setDiameters() {
+    const velum = this.diameter[0];
+    const override = this.override && resample(this.override, this.length);
+    for (let i = 0; i < this.length; i++)
+    {
+        if (override) {
+          this.diameter[i] = override[i];
+          continue;
+        }
+        let diameter;
+        let d = 2 * (i / this.length);
+        if (d < 1) diameter = 0.4 + 1.6 * d;
+        else diameter = 0.5 + 1.5 * (2 - d);
+        diameter = Math.min(diameter, 1.9);
+        this.diameter[i] = diameter;
+    }       
+    this.calculateReflections();
+    this.diameter[0] = velum;
+    this.A[0] = velum * velum;
+    this.changed = true;
+  }
+
+  calculateReflections()
+  {
+    subdivide(this.diameter, this.oversample, this.fineDiameter);
+    for (let i = 0; i < this.m; i++) 
+    {
+      this.A[i] = this.fineDiameter[i] * this.fineDiameter[i]; 
+    }
+    for (let i = 1; i < this.m; i++)
+    {
+      this.reflection[i] = (this.A[i-1] - this.A[i]) / (this.A[i-1] + this.A[i]); 
+    }
+  }
+
+  //propagate one step along the nose, once the velum junction (junctionOutputR[0]) is set
+  runStep(lipReflection) {
+    this.junctionOutputL[this.m] = this.R[this.m-1] * lipReflection; 
+    
+    for (let i = 1; i < this.m; i++) {
+      let w = this.reflection[i] * (this.R[i-1] + this.L[i]);
+      this.junctionOutputR[i] = this.R[i-1] - w;
+      this.junctionOutputL[i] = this.L[i] + w;
+    }
+    
+    for (let i = 0; i < this.m; i++) {
+      this.R[i] = this.junctionOutputR[i] * this.fade;
+      this.L[i] = this.junctionOutputL[i+1] * this.fade;      
+    }
+    this.output = this.R[this.m-1];
+  }
+}
+
+//the vocal tract, as a Kelly-Lochbaum waveguide from glottis to lips, with a Nose
+export class Tract {
+  static get parameterDescriptors() {
+    return [
+      //tract length, in segments - horter tracts produce "younger", more "feminine" voices.
+      {
+        name: "n",
+        defaultValue: 44,
+        minValue: 30,
+        maxValue: 60,
+        automationRate: "k-rate"
+      },
+      //velum width, opens/closes the nasal tract, required for letters such as M and N
+      {
+        name: "velum-target",
+        defaultValue: 0.01,
+        minValue: 0,
+        maxValue: 0.4,
+        automationRate: "a-rate"
+      },
+      //horizontal location of constriction, in segment #, used to simulate a mouse held on the UI
+      {
+        name: "constriction-index",
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 60,
+        automationRate: "a-rate"
+      },
+      //vertical location of constriction, used to simulate a mouse held on the UI.
+      //below 0 the tract is closed, below -1.9 the constriction is lifted off (like a touch outside the UI)
+      {
+        name: "constriction-diameter",
+        defaultValue: 3,
+        minValue: -5,
+        maxValue: 5,
+        automationRate: "a-rate"
+      },
+
+      //index/diameter of a second tongue constriction
+      {
+        name: "constriction2-index",
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 60,
+        automationRate: "a-rate"
+      },
+      {
+        name: "constriction2-diameter",
+        defaultValue: 3,
+        minValue: -5,
+        maxValue: 5,
+        automationRate: "a-rate"
+      },
+
+      {
+        name: "lip-diameter",
+        defaultValue: 1.5,
+        minValue: 0,
+        maxValue: 1.5
+      },
+      //tract movement speed, determines how fast tract diameters approach their targets. Set to -1 for instant.
+      {
+        name: "movement-speed",
+        defaultValue: 15,
+        minValue: -1,
+        maxValue: 1000,
+        automationRate: "k-rate"
+      },
+      //volume of fricative white noise produced by tight constrictions.
+      {
+        name: "fricative-strength",
+        defaultValue: 1,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: "a-rate"
+      },
+      //centre frequency and Q of the fricative noise bandpass filter
+      {
+        name: "fricative-frequency",
+        defaultValue: 1000,
+        minValue: 20,
+        maxValue: 20000,
+        automationRate: "k-rate"
+      },
+      {
+        name: "fricative-q",
+        defaultValue: 0.5,
+        minValue: 0.0001,
+        maxValue: 1000,
+        automationRate: "k-rate"
+      },
+      //tongue index + diameter - simulated horizontal + vertical position of tongue in GUI
+      {
+        name: "tongue-index",
+        defaultValue: 12.9,
+        minValue: 0,
+        maxValue: 44,
+        automationRate: "k-rate" 
+      },    
+      {
+        name: "tongue-diameter",
+        defaultValue: 2.43,
+        minValue: 2.05,
+        maxValue: 3.50,
+        automationRate: "k-rate" 
+      },  
+      //stereo position of the voice, from left (-1) to right (1)
+      {
+        name: "pan",
+        defaultValue: 0,
+        minValue: -1,
+        maxValue: 1,
+        automationRate: "a-rate"
+      },
+      //stereo spread between the lips (panned left of pan) and the nose (panned right of pan)
+      {
+        name: "width",
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: "a-rate"
+      },
+    ];
+  }
+  static defaults = getDefaults(Tract.parameterDescriptors);
+  static specs = getSpecs(Tract.parameterDescriptors);
+
+  //code below taken from original Pink Trombone Tract object
+
+  n = 44;
+  bladeStart = 10;
+  tipStart = 32;
+  lipStart = 39;
+  R = []; //component going right
+  L = []; //component going left
+  reflection = [];
+  junctionOutputR = [];
+  junctionOutputL = [];
+  diameter = [];
+  targetDiameter = [];
+  A = [];
+  glottalReflection = 0.75;
+  lipReflection = -0.85;
+  lastObstruction = -1;
+  fade = 1.0; //0.9999
+  movementSpeed = 15; //cm per second
+  transients = [];
+  transientStrength = 0.3;
+  lipOutput = 0;
+  velumTarget = 0.01;
+  fricative_strength = 1;
+
+  constrictionIndex = 0;
+  constrictionDiameter = 3;
+  constriction2Index = 0;
+  constriction2Diameter = 3;
+
+  tongueIndex = 12.9;
+  tongueDiameter = 2.43;
+
+  lipDiameter = 5;
+
+  nose = new Nose();
+
+  //lip and nose radiation of the last processed block, before mixing
+  lipBlock = new Float32Array(128);
+  noseBlock = new Float32Array(128);
+
+  //names of the params clamped to their range in the last block
+  clamped = new Set();
+  //set when the last block wasn't finite, and the waveguide was reset
+  recovered = false;
+
+  //shape messages queued with queueShape(), applied at the start of the next block
+  messages = [];
+  //target diameters queued with queueShape(), used in place of getTargetDiameters() until released
+  targetOverride = null;
+
+  /*
+    options:
+      oversample - waveguide segments per tract segment (default 1). The waveguide always
+        steps at 88200 * oversample steps per second, the rate of the original at 44.1kHz,
+        so the same shape sounds the same at any sample rate. Raised to the smallest factor that
+        steps at least once per sample (2 at 96kHz, 3 at 192kHz). Use 2 or 4 for smoother high
+        frequencies, at 2x or 4x the processing cost
+      seed - seed for the fricative noise (random by default)
+  */
+  constructor(sampleRate, options = {}) {
+    this.sampleRate = sampleRate;
+    this.fricativeNoise = new BandpassNoise(sampleRate, options.seed);
+    //with fewer steps than samples, the output would hold steps over several samples and alias
+    this.oversample = Math.max(Math.ceil(sampleRate / 88200), Math.round(options.oversample ?? 1));
+    this.stepRate = 88200 * this.oversample;
+    //keep the losses per second the same, whatever the number of steps
+    this.damping = Math.pow(0.999, 1 / this.oversample);
+    this.init();
+  }
+
+  //recover from a non-finite (NaN or infinite) state by silencing the waveguide and rebuilding it
+  //from the current params. Held shapes that aren't finite are released
+  reset() {
+    const finite = (d) => d.every(Number.isFinite);
+    if (this.targetOverride && !finite(this.targetOverride)) this.targetOverride = null;
+    if (this.nose.override && !finite(this.nose.override)) this.nose.override = null;
+    this.transients.length = 0;
+    this.init(this.n);
+    this.recovered = true;
+  }
+
+  //restart from a seed, in the state of a new Tract with that seed: the fricative noise, and the
+  //waveguide, shape and transients it drives. Held shapes (see queueShape()) are kept.
+  //The same params then give the same samples as a fresh render
+  setSeed(seed) {
+    const {n, messages, targetOverride} = this;
+    const noseOverride = this.nose.override;
+    Object.assign(this, new Tract(this.sampleRate, {oversample: this.oversample, seed}));
+    this.messages = messages;
+    this.targetOverride = targetOverride;
+    this.nose.override = noseOverride;
+    this.init(n);
+  }
+
+  init(n = 44) {
+
+    this.n = n;
+    this.bladeStart = Math.floor(10 * this.n/44);
+    this.tipStart = Math.floor(32 * this.n/44);
+    this.lipStart = Math.floor(39 *this.n/44);    
+
+    this.diameter = new Float64Array(this.n);
+    this.targetDiameter = new Float64Array(this.n);
+
+    //keep a held shape when the tract length changes
+    if (this.targetOverride) this.targetOverride = resample(this.targetOverride, this.n);
+    this.getTargetDiameters();
+    for (let i = 0; i < this.targetDiameter.length; i++) this.diameter[i] = this.targetDiameter[i];
+    
+    //the waveguide itself has m segments, oversample per tract segment
+    this.m = this.n * this.oversample;
+    this.R = new Float64Array(this.m);
+    this.L = new Float64Array(this.m);
+    this.reflection = new Float64Array(this.m+1);
+    this.newReflection = new Float64Array(this.m+1);
+    this.junctionOutputR = new Float64Array(this.m+1);
+    this.junctionOutputL = new Float64Array(this.m+1);
+    this.fineDiameter = new Float64Array(this.m);
+    this.A =new Float64Array(this.m);
+    //peak amplitude of each segment (see updateAmplitudes)
+    this.maxAmplitude = new Float64Array(this.n);
+    this.amplitudeStep = 0;
+    //phase of the waveguide steps within the current sample
+    this.stepPhase = 0;
+
+    this.nose.init(this.n, this.oversample);
+    this.noseJunction = this.nose.start * this.oversample;
+    this.newReflectionLeft = this.newReflectionRight = this.newReflectionNose = 0;
+    this.calculateReflections();        
+    this.nose.diameter[0] = this.velumTarget;
+  }
+
+  calculateReflections()
+    {
+      subdivide(this.diameter, this.oversample, this.fineDiameter);
+      for (let i = 0; i < this.m; i++) 
+      {
+          this.A[i] = this.fineDiameter[i] * this.fineDiameter[i]; //ignoring PI etc.
+      }
+      for (let i = 1; i < this.m; i++)
+      {
+          this.reflection[i] = this.newReflection[i];
+          if (this.A[i] == 0) this.newReflection[i] = 0.999; //to prevent some bad behaviour if 0
+          else this.newReflection[i] = (this.A[i-1]-this.A[i]) / (this.A[i-1]+this.A[i]); 
+      }
+      
+      this.reflectionLeft = this.newReflectionLeft;
+      this.reflectionRight = this.newReflectionRight;
+      this.reflectionNose = this.newReflectionNose;
+      var sum = this.A[this.noseJunction]+this.A[this.noseJunction+1]+this.nose.A[0];
+      this.newReflectionLeft = (2*this.A[this.noseJunction]-sum)/sum;
+      this.newReflectionRight = (2*this.A[this.noseJunction+1]-sum)/sum;   
+      this.newReflectionNose = (2*this.nose.A[0]-sum)/sum;      
+  }
+
+  /*
+    queue a shape message, applied at the start of the next block:
+      {td} - target diameters, held in place of getTargetDiameters() until released
+      {d} - current diameters, which then move towards their targets as usual
+      {nd} - nose diameters, held in place of the default nose shape until released
+      {release} - hand the tract and nose shape back to the params
+    arrays of any length are resampled to the current tract/nose length
+  */
+  queueShape(message) {
+    this.messages.push(message);
+  }
+
+  applyMessages() {
+    for (let msg of this.messages) {
+      if (msg.release) {
+        this.targetOverride = null;
+        if (this.nose.override) {
+          this.nose.override = null;
+          this.nose.setDiameters();
+        }
+      }
+      if (msg.td) this.targetOverride = resample(msg.td, this.n);
+      if (msg.d) this.diameter.set(resample(msg.d, this.n));
+      if (msg.nd) {
+        this.nose.override = Float64Array.from(msg.nd);
+        this.nose.setDiameters();
+      }
+    }
+    this.messages.length = 0;
+  }
+
+  reshapeTract(deltaTime) {
+    let amount = this.movementSpeed < 0 ? Infinity : deltaTime * this.movementSpeed;
+    let newLastObstruction = -1;
+    for (let i = 0; i < this.n; i++) {
+      let diameter = this.diameter[i];
+      let targetDiameter = this.targetDiameter[i];
+      if (diameter <= 0) newLastObstruction = i;
+      let slowReturn; 
+      if (i < this.nose.start) slowReturn = 0.6;
+      else if (i >= this.tipStart) slowReturn = 1.0; 
+      else slowReturn = 0.6 + 0.4 * (i - this.nose.start) / (this.tipStart - this.nose.start);
+      this.diameter[i] = moveTowards(diameter, targetDiameter, slowReturn * amount, 2 * amount);
+    }
+    if (this.lastObstruction > -1 && newLastObstruction == -1 && this.nose.A[0] < 0.05 && this.fricative_strength) {
+      this.addTransient(this.lastObstruction);
+    }
+    this.lastObstruction = newLastObstruction;
+    this.nose.diameter[0] = moveTowards(this.nose.diameter[0], this.velumTarget, amount*0.25, amount*0.1);
+    this.nose.A[0] = this.nose.diameter[0] * this.nose.diameter[0];        
+  }
+
+  addTransient(position)
+  {
+    let trans = {}
+    trans.position = position;
+    trans.timeAlive = 0;
+    trans.lifeTime = 0.2;
+    trans.strength = this.transientStrength;
+    trans.exponent = 200; 
+    this.transients.push(trans);
+  }
+
+  processTransients() {
+    for (let i = 0; i < this.transients.length; i++)  
+    {
+      let trans = this.transients[i];
+      let amplitude = trans.strength * Math.pow(2, -trans.exponent * trans.timeAlive);
+      this.R[trans.position * this.oversample] += amplitude / 2;
+      this.L[trans.position * this.oversample] += amplitude / 2;
+      trans.timeAlive += 1.0 / this.stepRate;
+    }
+    for (let i = this.transients.length - 1; i >= 0; i--)
+    {
+      let trans = this.transients[i];
+      if (trans.timeAlive > trans.lifeTime) {
+        this.transients.splice(i,1);
+      }
+    }
+  }
+
+  addTurbulenceNoise(turbulenceNoise, noiseModulator) {
+
+    let intensity = this.fricative_strength * 2;
+    this.addTurbulenceNoiseAtIndex(0.66 * turbulenceNoise * intensity, this.constrictionIndex, this.constrictionDiameter, noiseModulator);
+    this.addTurbulenceNoiseAtIndex(0.66 * turbulenceNoise * intensity, this.constriction2Index, this.constriction2Diameter, noiseModulator);
+  }
+
+  addTurbulenceNoiseAtIndex(turbulenceNoise, index, diameter, noiseModulator) {   
+    //each constriction is skipped on its own, so one can hiss while the other is off
+    if (index < 2 || index > this.n) return;
+    if (diameter <= 0) return;     
+
+    const k = this.oversample;
+    let i = Math.floor(index * k);
+    let delta = index * k - i;
+
+    turbulenceNoise *= noiseModulator;
+
+    let thinness0 = clamp(8 * (0.7 - diameter), 0, 1);
+    let openness = clamp(30 * (diameter-0.3), 0, 1);
+    let noise0 = turbulenceNoise * (1 - delta) * thinness0 * openness;
+    let noise1 = turbulenceNoise * delta * thinness0 * openness;
+
+    this.R[i+k] += noise0/2;
+    this.L[i+k] += noise0/2;
+    this.R[i+k+1] += noise1/2;
+    this.L[i+k+1] += noise1/2;
+  }
+
+  runStep(glottalOutput, turbulenceNoise, lambda, noiseModulator) {
+
+    //mouth
+    this.processTransients();
+    this.addTurbulenceNoise(turbulenceNoise, noiseModulator);
+    
+    //this.glottalReflection = -0.8 + 1.6 * Glottis.newTenseness;
+    this.junctionOutputR[0] = this.L[0] * this.glottalReflection + glottalOutput;
+    this.junctionOutputL[this.m] = this.R[this.m - 1] * this.lipReflection; 
+    
+    for (let i = 1; i < this.m; i++) {
+      let r = this.reflection[i] * (1-lambda) + this.newReflection[i] * lambda;
+      let w = r * (this.R[i-1] + this.L[i]);
+      this.junctionOutputR[i] = this.R[i-1] - w;
+      this.junctionOutputL[i] = this.L[i] + w;
+    }    
+    
+    //now at junction with nose
+    let i = this.noseJunction;
+    let r = this.newReflectionLeft * (1 - lambda) + this.reflectionLeft * lambda;
+    this.junctionOutputL[i] = r * this.R[i - 1] + (1 + r) * (this.nose.L[0] + this.L[i]);
+    r = this.newReflectionRight * (1-lambda) + this.reflectionRight * lambda;
+    this.junctionOutputR[i] = r * this.L[i] + (1 + r) * (this.R[i - 1] + this.nose.L[0]);     
+    r = this.newReflectionNose * (1-lambda) + this.reflectionNose * lambda;
+    this.nose.junctionOutputR[0] = r * this.nose.L[0] + (1 + r) * (this.L[i] + this.R[i - 1]);
+      
+    for (let i = 0; i < this.m; i++)
+    {          
+      this.R[i] = this.junctionOutputR[i] * this.damping;
+      this.L[i] = this.junctionOutputL[i+1] * this.damping; 
+      
+      //this.R[i] = Math.clamp(this.junctionOutputR[i] * this.fade, -1, 1);
+      //this.L[i] = Math.clamp(this.junctionOutputL[i+1] * this.fade, -1, 1);    
+    }
+
+    this.lipOutput = this.R[this.m - 1];
+    
+    //nose     
+    this.nose.runStep(this.lipReflection);
+
+    //the original updated the amplitudes on a random 10% of its steps
+    if (++this.amplitudeStep >= 10 * this.oversample) {
+      this.amplitudeStep = 0;
+      this.updateAmplitudes();
+    }
+  }
+
+  //update the peak amplitude of each tract and nose segment, in maxAmplitude and nose.maxAmplitude
+  updateAmplitudes() {
+    updateMaxAmplitude(this.maxAmplitude, this.R, this.L, this.oversample);
+    updateMaxAmplitude(this.nose.maxAmplitude, this.nose.R, this.nose.L, this.oversample);
+  }
+
+  finishBlock(blockTime) {         
+    this.reshapeTract(blockTime);
+    this.calculateReflections();
+  }
+
+  getTargetDiameters() {
+
+    if (this.targetOverride) {
+      this.targetDiameter.set(this.targetOverride);
+      return;
+    }
+
+    try {
+
+      for (var i=0; i<this.n; i++) {
+        var diameter = 0;
+        if (i<7*this.n/44-0.5) diameter = 0.6;
+        else if (i<12*this.n/44) diameter = 1.1;
+        else diameter = 1.5;
+        this.targetDiameter[i] = diameter;
+      }
+
+      //inscribe tongue position
+      for (var i = this.bladeStart; i < this.lipStart; i++) {
+        var t = 1.1 * Math.PI*(this.tongueIndex - i)/(this.tipStart - this.bladeStart);
+        var fixedTongueDiameter = 2+(this.tongueDiameter-2)/1.5;
+        var curve = (1.5-fixedTongueDiameter + 1.7)*Math.cos(t);
+        if (i == this.bladeStart-2 || i == this.lipStart-1) curve *= 0.8;
+        if (i == this.bladeStart || i == this.lipStart-2) curve *= 0.94;               
+        this.targetDiameter[i] = 1.5 - curve;
+      }
+
+      //inscribe tongue constriction
+      let index = this.constrictionIndex;
+      let dia = this.constrictionDiameter;
+
+      if (index && (dia > -1.6)) {
+      
+        if (index > this.nose.start && dia < -0.8) this.velumTarget = 0.4;
+        dia -= 0.3;
+        if (dia < 0) dia = 0;     
+        
+        let width = map(index, 25/44*this.n, this.tipStart, 10, 5)/44*this.n;
+
+        if (index >= 2 && index < this.n && dia < 3) {
+
+          let intIndex = Math.round(index);
+          for (let i=-Math.ceil(width)-1; i<width+1; i++) {   
+            if (intIndex+i<0 || intIndex+i >= this.n) continue;
+            let relpos = (intIndex+i) - index;
+            relpos = Math.abs(relpos)-0.5;
+            let shrink;
+            if (relpos <= 0) shrink = 0;
+            else if (relpos > width) shrink = 1;
+            else shrink = 0.5 * (1-Math.cos(Math.PI * relpos / width)); //0.5 * ...
+            if (dia < this.targetDiameter[intIndex+i]) {
+              this.targetDiameter[intIndex+i] = dia + (this.targetDiameter[intIndex+i]-dia)*shrink;
+            }
+          }
+        }
+
+      }
+
+      //inscribe tongue constriction
+      let index2 = this.constriction2Index;
+      let dia2 = this.constriction2Diameter;
+
+      if (index2 && (dia2 > -1.6)) {
+      
+        if (index2 > this.nose.start && dia2 < -0.8) this.velumTarget = 0.4;
+        dia2 -= 0.3;
+        if (dia2 < 0) dia2 = 0;     
+        
+        let width2 = map(index2, 25/44*this.n, this.tipStart, 10, 5)/44*this.n;
+
+        if (index2 >= 2 && index2 < this.n && dia2 < 3) {
+
+          let intIndex = Math.round(index2);
+          for (let i=-Math.ceil(width2)-1; i<width2+1; i++) {   
+            if (intIndex+i<0 || intIndex+i >= this.n) continue;
+            let relpos = (intIndex+i) - index2;
+            relpos = Math.abs(relpos)-0.5;
+            let shrink;
+            if (relpos <= 0) shrink = 0;
+            else if (relpos > width2) shrink = 1;
+            else shrink = 0.5 * (1-Math.cos(Math.PI * relpos / width2));
+            if (dia2 < this.targetDiameter[intIndex+i]) {
+              this.targetDiameter[intIndex+i] = dia2 + (this.targetDiameter[intIndex+i]-dia2)*shrink;
+            }
+          }
+        }
+      }
+
+      //inscribe lip constriction
+      let lIndex = this.n - 2;
+      let lDia = this.lipDiameter;
+      let lWidth = 5;
+
+      var intIndex = Math.round(lIndex);
+      for (var i=-Math.ceil(lWidth)-1; i<lWidth+1; i++) {   
+        if (intIndex+i<0 || intIndex+i >= this.n) continue;
+        var relpos = (intIndex+i) - lIndex;
+        relpos = Math.abs(relpos)-0.5;
+        var shrink;
+        if (relpos <= 0) shrink = 0;
+        else if (relpos > lWidth) shrink = 1;
+        else shrink = 0.5 * (1-Math.cos(Math.PI * relpos / lWidth)); //0.5 * ...
+        if (lDia < this.targetDiameter[intIndex+i]) {
+          this.targetDiameter[intIndex+i] = lDia + (this.targetDiameter[intIndex+i]-lDia)*shrink;
+        }
+      }
+    
+    } catch (e) {console.log(e)}
+  }
+        
+  /*
+    process one block of samples:
+      glottalSource - glottal source from Glottis.process()
+      noiseModulator - noise modulator from Glottis.process()
+      params - tract AudioParam values (see parameterDescriptors)
+      output (optional) - array to write the tract output into
+      outputRight (optional) - if given, output and outputRight are written as left and right
+        channels, panned with the pan and width params
+      noseOutput, noseOutputRight (optional) - if given, nasal radiation is written here
+        (mono or panned stereo, like output) instead of being mixed into output
+    returns output
+  */
+  process(glottalSource, noiseModulator, params = {}, 
+    output = new Float32Array(glottalSource.length), outputRight = null,
+    noseOutput = null, noseOutputRight = null
+  ) {
+    const specs = Tract.specs;
+    const clamped = this.clamped;
+    clamped.clear();
+    this.recovered = false;
+
+    if (this.lipBlock.length != output.length) {
+      this.lipBlock = new Float32Array(output.length);
+      this.noseBlock = new Float32Array(output.length);
+    }
+
+    const newN = Math.floor(paramValue(params, "n", 0, specs, clamped));
+    if (newN != this.n) this.init(newN);
+
+    this.applyMessages();
+    
+    //update a bunch of object properties using param values
+    this.velumTarget = paramValue(params, "velum-target", 0, specs, clamped);
+
+    this.constrictionIndex = paramValue(params, "constriction-index", 0, specs, clamped);
+    this.constrictionDiameter = paramValue(params, "constriction-diameter", 0, specs, clamped) + 0.3;
+    this.constriction2Index = paramValue(params, "constriction2-index", 0, specs, clamped);
+    this.constriction2Diameter = paramValue(params, "constriction2-diameter", 0, specs, clamped) + 0.3;
+
+    this.tongueIndex = paramValue(params, "tongue-index", 0, specs, clamped);
+    this.tongueDiameter = paramValue(params, "tongue-diameter", 0, specs, clamped);
+
+    this.lipDiameter = paramValue(params, "lip-diameter", 0, specs, clamped);
+
+    this.getTargetDiameters();
+
+    this.movementSpeed = paramValue(params, "movement-speed", 0, specs, clamped);
+    this.fricative_strength = paramValue(params, "fricative-strength", 0, specs, clamped);
+    this.fricativeNoise.setFilter(
+      paramValue(params, "fricative-frequency", 0, specs, clamped), 
+      paramValue(params, "fricative-q", 0, specs, clamped)
+    );
+
+    //the waveguide steps at a fixed rate (2 steps per sample at 44.1kHz without oversampling),
+    //each sample is the average of the steps within it
+    const stepsPerSample = this.stepRate / this.sampleRate;
+
+    for (let j = 0, N = output.length; j < N; j++) {
+      
+      this.stepPhase += stepsPerSample;
+      const steps = Math.floor(this.stepPhase);
+      this.stepPhase -= steps;
+
+      let glottalOutput = glottalSource[j]
+      let turbulenceNoise = this.fricativeNoise.next();
+
+      let lip = 0;
+      let nose = 0;
+      for (let s = 0; s < steps; s++) {
+        this.runStep(glottalOutput, turbulenceNoise, (j + s / steps) / N, noiseModulator[j]);
+        lip += this.lipOutput;
+        nose += this.nose.output;
+      }
+
+      this.lipBlock[j] = lip * 0.25 / steps;
+      this.noseBlock[j] = nose * 0.25 / steps;
+      if (noseOutput) {
+        output[j] = this.lipBlock[j];
+        noseOutput[j] = this.noseBlock[j];
+      }
+      else output[j] = this.lipBlock[j] + this.noseBlock[j];
+    }
+
+    if (outputRight) {
+      for (let j = 0, N = output.length; j < N; j++) {
+        const pan = paramValue(params, "pan", j, specs, clamped);
+        const width = paramValue(params, "width", j, specs, clamped);
+        panInto(this.lipBlock[j], pan - width, output, outputRight, j, false);
+        if (noseOutput) panInto(this.noseBlock[j], pan + width, noseOutput, noseOutputRight, j, false);
+        else panInto(this.noseBlock[j], pan + width, output, outputRight, j, true);
+      }
+    }
+    
+    //Tract used to reference AudioSystem.blockTime, we calculate it here instead using <block length>/sampleRate
+    this.finishBlock(output.length / this.sampleRate);
+
+    if (!isFiniteBlock(this.lipBlock) || !isFiniteBlock(this.noseBlock)) {
+      this.reset();
+      for (let block of [output, outputRight, noseOutput, noseOutputRight]) block?.fill(0);
+    }
+
+    return output;
+  }
+}
+
+//pan a sample into left and right output arrays at index j, adding to what's there if add is set.
+//the louder side stays at full volume, so a centred sample is written unchanged to both sides
+export function panInto(sample, pan, left, right, j, add = false) {
+  let panMultR = (1 + clamp(pan, -1, 1)) / 2;
+  let panMultL = 1 - panMultR;
+  
+  let panMax = Math.max(panMultL, panMultR);
+  panMultR /= panMax;
+  panMultL /= panMax;
+
+  if (!add) left[j] = right[j] = 0;
+  left[j] += sample * panMultL;
+  right[j] += sample * panMultR;
+}
+
+//linearly resample an array of diameters to the given length
+export function resample(d, length) {
+  if (d.length == length) return Float64Array.from(d);
+  return new Float64Array(length).map((v, i) => {
+    let i_scaled = i / (length-1) * (d.length-1);
+    let i1 = Math.floor(i_scaled);
+    let interpVal = i_scaled - i1;
+    if (interpVal == 0) return d[i1];
+    return d[i1]*(1-interpVal) + d[i1+1]*interpVal;
+  });
+};
+
+export function constrain(n, low, high) {
+  return Math.max(Math.min(n, high), low);
+};
+
+export function map(n, start1, stop1, start2, stop2, withinBounds = true) {
+  const newval = (n - start1) / (stop1 - start1) * (stop2 - start2) + start2;
+  if (!withinBounds) {
+      return newval;
+  }
+  if (start2 < stop2) {
+      return constrain(newval, start2, stop2);
+  } else {
+      return constrain(newval, stop2, start2);
+  }
+};
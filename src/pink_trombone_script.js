@@ -1,60 +1,126 @@
+import { speak, PHONEMES } from "./phonemes.js";
+import { scheduleTimeline, getParam } from "./timeline.js";
+import { getPreset, applyPreset } from "./presets.js";
+import { Recorder } from "./recorder.js";
+import { getFormants } from "./formants.js";
+import { solveAsync } from "./vowel_solver.js";
+import { VoiceTracker } from "./voice_tracker.js";
+import { resample, Glottis } from "./pink_trombone_dsp.js";
+import { SharedState } from "./shared_state.js";
+
 export class MPT_Voice {
 
     //create a new voice using the given audiocontext and destinationNode (default ctx destination)
-    constructor(name, ctx, cnv = document.createElement("canvas")) {
+    //pass null as cnv for a voice without any GUI (ex. in an OfflineAudioContext or a worker)
+    //options:
+    //  seed - seed for the voice's noise (vibrato, tenseness wobble, aspiration and fricatives), random by default.
+    //      Renders of voices with the same seed and params are identical
+    //  panner - true or PannerNode options, to place the voice in 3D space with a PannerNode
+    //  separateOutputs - route oral (lip) and nasal radiation through separate GainNodes,
+    //      this.oral and this.nasal, before mixing them in this.gainNode
+    //  oversample - waveguide oversampling factor, 1 (default), 2 or 4. The tract sounds the same at any
+    //      sample rate, and raises the factor to what it needs above 88.2kHz (2 at 96kHz). Higher factors
+    //      smooth high frequencies at a CPU cost
+    //  glottisCanvas - HTMLCanvasElement to render the pitch keyboard and voicing toggles on (this.glottisUI)
+    //  vowelCanvas - HTMLCanvasElement to render the IPA vowel chart controller on (this.vowelUI)
+    //  onWarning - called with warnings about param values set out of range (see checkRange()) and from the
+    //      audio processors (non-finite output that reset the glottis or tract), logged to the console by default
+    //  stateUpdates - how the processors report their state (this.d, this.v, this.amplitudes, this.noseAmplitudes,
+    //      this.glottisPhase and this.glottisFrequency): "block" (the tract's posted after every block, the
+    //      glottis' only when asked with requestState(). The default), "throttled" (posted every stateInterval
+    //      seconds, default 1/60), "on-demand" (posted when asked with requestState()) or "shared" (written
+    //      to a SharedArrayBuffer, read when accessed. Needs a cross-origin isolated page)
+    constructor(name, ctx, cnv = globalThis.document?.createElement("canvas"), options = {}) {
         this.name = name;
         this.ctx = ctx;
 
+        //both processors generate their noise from the same seed
+        const seed = options.seed ?? Math.floor(Math.random() * 65536);
+        this.seed = seed;
+
+        this.stateUpdates = options.stateUpdates ?? "block";
+        if (this.stateUpdates == "shared") {
+            if (typeof SharedArrayBuffer == "undefined") {
+                throw new Error(`Voice ${name}: shared state needs SharedArrayBuffer (a cross-origin isolated page)`);
+            }
+            this.sharedState = new SharedState(new SharedArrayBuffer(SharedState.BYTES));
+            this.defineSharedState();
+        }
+        const stateOptions = {
+            stateUpdates: this.stateUpdates, 
+            stateInterval: options.stateInterval, 
+            stateBuffer: this.sharedState?.buffer
+        };
+
         this.glottis = new AudioWorkletNode(this.ctx, 'glottis', {
-            numberOfInputs: 1, //aspiration noise
+            numberOfInputs: 1, //external excitation, see setSourceModel()
             numberOfOutputs: 2, //glottal source, noise modulator
             outputChannelCount: [1, 1], 
-            processorOptions: { name: this.name }
+            channelCount: 1,
+            channelCountMode: "explicit",
+            processorOptions: { name: this.name, seed, ...stateOptions }
         });
 
         this.tract = new AudioWorkletNode(this.ctx, "tract", {
-            numberOfInputs: 3, //glottal source, fricative noise, noise modulator
-            numberOfOutputs: 1,
-            outputChannelCount: [2],
-            processorOptions: { name: this.name }
+            numberOfInputs: 2, //glottal source, noise modulator
+            numberOfOutputs: options.separateOutputs ? 2 : 1, //mixed, or oral and nasal
+            outputChannelCount: options.separateOutputs ? [2, 2] : [2],
+            processorOptions: { 
+                name: this.name, 
+                separateOutputs: options.separateOutputs, 
+                oversample: options.oversample,
+                seed,
+                ...stateOptions
+            }
         });
         this.glottis.connect(this.tract, 0, 0);
-        this.glottis.connect(this.tract, 1, 2);
+        this.glottis.connect(this.tract, 1, 1);
 
         this.gainNode = new GainNode(this.ctx, {gain: 1});
-        this.tract.connect(this.gainNode);
+        if (options.separateOutputs) {
+            this.oral = new GainNode(this.ctx, {gain: 1});
+            this.nasal = new GainNode(this.ctx, {gain: 1});
+            this.tract.connect(this.oral, 0);
+            this.tract.connect(this.nasal, 1);
+            this.oral.connect(this.gainNode);
+            this.nasal.connect(this.gainNode);
+        }
+        else this.tract.connect(this.gainNode);
+
+        //the last node of the voice, which connect() connects to destinations
+        this.output = this.gainNode;
+        if (options.panner) {
+            this.panner = new PannerNode(this.ctx, {
+                panningModel: "HRTF", 
+                ...(options.panner === true ? {} : options.panner)
+            });
+            this.gainNode.connect(this.panner);
+            this.output = this.panner;
+        }
 
-        this.tract.port.onmessage = (e) => {
-            this.d = e.data.d; 
-            this.v = e.data.v;
+        this.onWarning = options.onWarning ?? ((message) => console.warn(`Voice ${this.name}: ${message}`));
+        this.glottis.port.onmessage = (e) => {
+            if (e.data.warning) this.onWarning(`glottis ${e.data.warning}`);
+            if (e.data.phase !== undefined) {
+                this.glottisPhase = e.data.phase;
+                this.glottisFrequency = e.data.frequency;
+                this.stateReceived("glottis");
+            }
         };
 
-        const sampleRate = this.ctx.sampleRate;
-        const buf = this.ctx.createBuffer(1, sampleRate * 2, sampleRate);
-        const bufSamps = buf.getChannelData(0);
-        for (let i = 0; i < sampleRate * 2; i++) { 
-            bufSamps[i] = Math.random();
+        this.tract.port.onmessage = (e) => {
+            if (e.data.warning) this.onWarning(`tract ${e.data.warning}`);
+            if (e.data.d) {
+                this.d = e.data.d; 
+                this.v = e.data.v;
+                //peak amplitude of each tract and nose segment
+                this.amplitudes = e.data.a;
+                this.noseAmplitudes = e.data.na;
+                this.stateReceived("tract");
+            }
+            if (e.data.nd) this.UI.noseDiameter = e.data.nd;
         };
 
-        this.noiseNode = this.ctx.createBufferSource();
-        this.noiseNode.buffer = buf;
-        this.noiseNode.loop = true;
-        this.noiseNode.start();
-
-        this.aspiration = this.ctx.createBiquadFilter();
-        this.aspiration.type = "bandpass";
-        this.aspiration.frequency.value = 500;
-        this.aspiration.Q.value = 0.5;        
-        this.aspiration.connect(this.glottis, 0, 0);
-        this.noiseNode.connect(this.aspiration);
-        
-        this.fricative = this.ctx.createBiquadFilter();
-        this.fricative.type = "bandpass";
-        this.fricative.frequency.value = 1000;
-        this.fricative.Q.value = 0.5;
-        this.fricative.connect(this.tract, 0, 1);
-        this.noiseNode.connect(this.fricative);
-
         // this.filters = new Array(20).fill(undefined).map(() => new BiquadFilterNode(this.ctx));
         // this.filters.forEach((f, i) => {
         //     f.Q.value = 4.31
@@ -64,52 +130,284 @@ export class MPT_Voice {
         // });
 
         this.UI = new TractUI(this, cnv);
+        if (options.glottisCanvas) this.glottisUI = new GlottisUI(this, options.glottisCanvas);
+        if (options.vowelCanvas) this.vowelUI = new VowelUI(this, options.vowelCanvas);
     }
 
     connect(destination = this.ctx.destination) {
-        this.gainNode.connect(destination);
+        this.output.connect(destination);
         console.log(`Voice ${this.name} connected.`);
     }
     
     disconnect() {
-        this.gainNode.disconnect();
+        this.output.disconnect();
         console.log(`Voice ${this.name} disconnected.`);
     }
 
+    //with shared state, the state properties read the shared buffer. Each access is a new read,
+    //so code that needs several values at once should take them from getState()
+    defineSharedState() {
+        for (let name of ["d", "v", "amplitudes", "noseAmplitudes", "glottisPhase", "glottisFrequency"]) {
+            Object.defineProperty(this, name, {get: () => this.readSharedState()?.[name]});
+        }
+    }
+
+    //the state in the shared buffer, or null until the tract has written it
+    readSharedState() {
+        const state = this.sharedState.read();
+        if (!state) return null;
+        //the GUI keeps its own copy of the nose shape, updated when it changes
+        if (state.noseSequence != this.noseSequence) {
+            this.noseSequence = state.noseSequence;
+            if (this.UI) this.UI.noseDiameter = Float64Array.from(state.noseDiameters);
+        }
+        return state;
+    }
+
+    //ask the processors for their current state, in any stateUpdates mode. Resolves, once they have
+    //both answered, to {d, v, amplitudes, noseAmplitudes, glottisPhase, glottisFrequency}. The processors
+    //answer even while suspended. Rejects if the voice is disposed before they do
+    requestState() {
+        if (this.disposed) return Promise.reject(new Error(`Voice ${this.name} has been disposed`));
+        if (this.sharedState) return Promise.resolve(this.getState());
+        if (this.stateRequest) return this.stateRequest.promise;
+        const request = this.stateRequest = {waiting: new Set(["glottis", "tract"])};
+        request.promise = new Promise((resolve, reject) => {
+            request.resolve = resolve;
+            request.reject = reject;
+        });
+        this.glottis.port.postMessage({requestState: true});
+        this.tract.port.postMessage({requestState: true});
+        return request.promise;
+    }
+
+    //called when a processor posts its state, to resolve a pending requestState()
+    stateReceived(node) {
+        const request = this.stateRequest;
+        if (!request) return;
+        request.waiting.delete(node);
+        if (request.waiting.size) return;
+        this.stateRequest = null;
+        request.resolve(this.getState());
+    }
+
+    //the current state, from a single read of the buffer with shared state
+    getState() {
+        const state = this.sharedState ? this.readSharedState() ?? {} : this;
+        const {d, v, amplitudes, noseAmplitudes, glottisPhase, glottisFrequency} = state;
+        return {d, v, amplitudes, noseAmplitudes, glottisPhase, glottisFrequency};
+    }
+
+    //destroy the voice: stop tracking and recording, end the glottis and tract processors,
+    //disconnect every node and remove the GUI listeners. The voice can't be used afterwards
+    dispose() {
+        if (this.disposed) return;
+        this.disposed = true;
+
+        this.stopTracking();
+        this.stopRecording();
+
+        this.stateRequest?.reject(new Error(`Voice ${this.name} was disposed`));
+        this.stateRequest = null;
+
+        for (let node of [this.glottis, this.tract]) {
+            node.port.onmessage = null;
+            node.port.postMessage({dispose: true});
+        }
+        for (let node of [this.glottis, this.tract, this.oral, this.nasal, this.gainNode, this.panner]) {
+            node?.disconnect();
+        }
+
+        this.UI.dispose();
+        this.glottisUI?.dispose();
+        this.vowelUI?.dispose();
+    }
+
     setGain(gain) {
         this.gainNode.gain.value = gain;
     }
 
     setN(n) {
-        this.tract.parameters.get("n").value = n;
-        this.UI.init(this.tract.parameters.get("n").value);
+        this.tract.parameters.get("n").value = this.checkRange("tract", "n", n);
+        //the tract uses whole segments, like the processor
+        this.UI.init(Math.floor(this.tract.parameters.get("n").value));
+        //a held nose shape is resampled to the new length, like in the processor
+        if (this.heldNoseDiameters) this.UI.noseDiameter = resample(this.heldNoseDiameters, this.UI.noseLength);
+        this.vowelUI?.init(this.UI.n);
     }
 
     setFrequency(f) {
-        this.glottis.parameters.get("frequency").value = f;
+        this.glottis.parameters.get("frequency").value = this.checkRange("glottis", "frequency", f);
+    }
+
+    //glottal source model: "lf" (Liljencrants-Fant, the default), "rosenberg", "pulse" (band-limited pulse train)
+    //or "external", which uses the audio connected to the glottis as the excitation, like a talkbox:
+    //  instrument.connect(voice.glottis); voice.setSourceModel("external");
+    setSourceModel(model) {
+        const index = Glottis.SOURCE_MODELS.indexOf(model);
+        if (index == -1) throw new Error(`Unknown source model "${model}", expected one of ${Glottis.SOURCE_MODELS.join(", ")}`);
+        this.glottis.parameters.get("source-model").value = index;
+    }
+
+    //restart the voice from a seed, at the start of the next block: all of its noise (vibrato, tenseness wobble,
+    //aspiration and fricatives) and the glottis and tract state it drives, as in a new voice with that seed.
+    //The same params then render the same samples. Held shapes are kept
+    setSeed(seed) {
+        this.seed = seed;
+        this.glottis.port.postMessage({seed});
+        this.tract.port.postMessage({seed});
     }
 
+    //suspend the voice: its glottis and tract processors skip their DSP and output silence until
+    //setSuspended(false), so a silent voice costs next to no CPU. Param automation keeps running
+    setSuspended(suspended) {
+        this.suspended = suspended;
+        this.glottis.port.postMessage({suspended});
+        this.tract.port.postMessage({suspended});
+    }
+
+    //stereo position, from left (-1) to right (1)
+    setPan(pan) {
+        this.tract.parameters.get("pan").value = this.checkRange("tract", "pan", pan);
+    }
+
+    //warn (see the onWarning option) about a value outside of the range of a param ("glottis", "tract" or
+    //"gain" node), which the audio engine clamps silently. Used by the setters, applyPreset() and playTimeline().
+    //returns the value
+    checkRange(node, name, value) {
+        const {minValue, maxValue} = getParam(this, node, name);
+        if (!(value >= minValue && value <= maxValue)) {
+            this.onWarning(`${node} ${name} ${value} out of range, clamped to [${minValue}, ${maxValue}]`);
+        }
+        return value;
+    }
+
+    //position in 3D space, for voices created with the panner option
+    setPosition(x, y, z) {
+        if (!this.panner) throw new Error(`Voice ${this.name} was created without a panner`);
+        this.panner.positionX.value = x;
+        this.panner.positionY.value = y;
+        this.panner.positionZ.value = z;
+    }
+
+    //hold the tract at the given diameters (from throat to lips, resampled to tract length)
+    //instead of the shape set by the tongue/constriction/lip AudioParams, until releaseDiameters().
+    //if targetOnly, the tract moves towards the new shape at movement-speed instead of jumping to it
     setDiameters(d, targetOnly = false) {
 
-        const tract_n = this.tract.parameters.get("n").value;
+        const tract_n = Math.floor(this.tract.parameters.get("n").value);
 
         //resample inputted diameters to tract length
-        let resampled = d.length == tract_n ? d 
-            : new Float64Array(tract_n).map((v, i) => {
-                let i_scaled = i / (tract_n-1) * (d.length-1);
-                let interpVal = i_scaled % 1; 
-                if (interpVal == 0) return d[i_scaled];
+        let resampled = resample(d, tract_n);
+        
+        if (targetOnly) this.tract.port.postMessage({td: resampled});
+        else this.tract.port.postMessage({td: resampled, d: resampled});
+    }
 
-                let i1 = Math.floor(i_scaled);
-                let i2 = Math.floor(i_scaled) + 1;
+    //hold the nose at the given diameters (from velum to nostrils) until releaseDiameters().
+    //the opening of the velum itself stays controlled by velum-target
+    setNoseDiameters(nd) {
+        this.heldNoseDiameters = Float64Array.from(nd);
+        this.tract.port.postMessage({nd: this.heldNoseDiameters});
+    }
 
-                v = d[i1]*(1-interpVal) + d[i2]*interpVal;
-                return v;
-            });
-        
-        this.tract.port.postMessage({td: resampled});
-        if (!targetOnly) this.tract.port.postMessage({d: resampled});
+    //hand the tract and nose shape back to the tongue/constriction/lip AudioParams
+    releaseDiameters() {
+        this.heldNoseDiameters = null;
+        this.tract.port.postMessage({release: true});
+    }
+
+    //speak an IPA ("həˈloʊ") or ARPAbet ("HH AH0 L OW1") string. See phonemes.js for options.
+    //returns a promise that resolves when the utterance is finished
+    speak(text, options) {
+        return speak(this, text, options);
+    }
+
+    //formants of the current tract and nose shape (as last reported by the tract), lowest first,
+    //as [{frequency, bandwidth}] in Hz. See formants.js for options
+    getFormants(options) {
+        if (!this.d) throw new Error(`Voice ${this.name} has not reported its tract shape yet`);
+        return getFormants(this.d, {velum: this.v, noseDiameters: this.UI.noseDiameter, ...options});
     }
+
+    //glide the tongue and lips to the vowel with the given IPA symbol, or to target formants [F1, F2, F3] in Hz,
+    //for the current tract length. See vowel_solver.js for the solver options. The solver runs in a Worker.
+    //options: startTime (default: as soon as it's solved), timeConstant (of the glide, default 0.05).
+    //returns a promise of the solution: {"tongue-index", "tongue-diameter", "lip-diameter", formants, error}
+    async glideToVowel(target, options = {}) {
+        const n = Math.floor(this.tract.parameters.get("n").value);
+        const solution = typeof target == "string" 
+            ? await solveAsync("solveVowel", target, {...options, n}) 
+            : await solveAsync("solveFormants", target, {...options, n});
+
+        const {startTime = this.ctx.currentTime, timeConstant = 0.05} = options;
+        for (let name of ["tongue-index", "tongue-diameter", "lip-diameter"]) {
+            this.tract.parameters.get(name).setTargetAtTime(solution[name], startTime, timeConstant);
+        }
+        return solution;
+    }
+
+    //drive the voice's pitch, loudness and vowel from an input AudioNode (ex. a microphone), until
+    //stopTracking(). See voice_tracker.js for options. Returns a promise that resolves once the
+    //vowel is tracked too (the vowel grid is computed in a Worker)
+    track(input, options) {
+        this.stopTracking();
+        this.tracker = new VoiceTracker(this, input, options);
+        this.tracker.start();
+        return this.tracker.gridReady;
+    }
+
+    //stop tracking and give the tracked params back their previous values
+    stopTracking() {
+        this.tracker?.dispose();
+        this.tracker = null;
+    }
+
+    //current configuration of the voice (every glottis and tract param and the gain)
+    //as a JSON-serializable preset. See presets.js
+    getPreset() {
+        return getPreset(this);
+    }
+
+    //apply a preset object, JSON string or built-in preset name ("child", "adult male",
+    //"adult female", "whisper", "robot"). Settings missing from the preset are reset to their defaults
+    applyPreset(preset) {
+        applyPreset(this, preset);
+    }
+
+    //replay a parameter automation timeline (see timeline.js), starting at the given AudioContext time.
+    //options: stretch (time stretch factor, default 1), transpose (in semitones, default 0)
+    playTimeline(timeline, startTime = this.ctx.currentTime, options) {
+        scheduleTimeline(this, timeline, startTime, options);
+    }
+
+    //record every param change made through the GUI or the API, until stopRecording()
+    startRecording() {
+        this.recorder ??= new Recorder(this);
+        this.recorder.start();
+    }
+
+    //stop recording and return the recorded timeline, ready for JSON.stringify() and playTimeline()
+    stopRecording() {
+        return this.recorder?.stop() ?? [];
+    }
+}
+
+//listen to pointer events on a GUI's canvas with its startTouch(), moveTouch() and endTouch() methods.
+//returns the listeners, by event type, for removeListeners()
+function addPointerListeners(ui) {
+    const listeners = {
+        pointerdown: (e) => ui.startTouch(e),
+        pointermove: (e) => ui.moveTouch(e),
+        pointerup: (e) => ui.endTouch(e),
+        pointercancel: (e) => ui.endTouch(e)
+    };
+    for (let type in listeners) ui.cnv.addEventListener(type, listeners[type]);
+    return listeners;
+}
+
+function removeListeners(target, listeners) {
+    for (let type in listeners) target.removeEventListener(type, listeners[type]);
 }
 
 class TractUI {
@@ -129,25 +427,37 @@ class TractUI {
     fillColour = 'pink';
     lineColour = '#C070C6';
 
+    //all pointers (mouse, touch, pen) currently held on the canvas
     touchesWithMouse = [];
 
-
-    //pass an MPT_Voice class object and an HTMLCanvasElement
-    constructor(voice, cnv = document.createElement("canvas")) {
+    //pass an MPT_Voice class object and an HTMLCanvasElement, or null for no canvas
+    constructor(voice, cnv = globalThis.document?.createElement("canvas")) {
         this.voice = voice;
-        this.cnv = cnv;
-        this.ctx = this.cnv.getContext("2d");
+        this.cnv = cnv ?? null;
 
-        this.cnv.width = 600;
-        this.cnv.height = 600;
+        if (this.cnv) {
+            this.ctx = this.cnv.getContext("2d");
+
+            this.cnv.width = 600;
+            this.cnv.height = 600;
 
-        this.cnv.addEventListener("mousedown", (e) => this.startMouse(e));
-        this.cnv.addEventListener("mousemove", (e) => this.moveMouse(e));
-        this.cnv.addEventListener("mouseup", (e) => this.endMouse(e));
+            //stop touches from scrolling or zooming the page
+            this.cnv.style.touchAction = "none";
+
+            this.listeners = addPointerListeners(this);
+        }
 
         this.init();
     }
 
+    //remove the canvas listeners, when the voice is disposed
+    dispose() {
+        if (this.listeners) removeListeners(this.cnv, this.listeners);
+        this.listeners = null;
+        this.touchesWithMouse = [];
+        this.tongueTouch = undefined;
+    }
+
     init(n = 44) {
 
         this.n = n;
@@ -173,46 +483,46 @@ class TractUI {
         this.tongueIndexCentre = 0.5*(this.tongueLowerIndexBound+this.tongueUpperIndexBound);
     }
 
-    startMouse(e) {
-        let touch = {
-            alive: true,
-            x: (e.pageX-this.cnv.offsetLeft)/this.cnv.getBoundingClientRect().width*600,
-            y: (e.pageY-this.cnv.offsetTop)/this.cnv.getBoundingClientRect().width*600
-        };
+    //pointer events, handled per pointer so several fingers can be used at once
+    startTouch(e) {
+        this.cnv.setPointerCapture(e.pointerId);
 
-        touch.index = this.getIndex(touch.x, touch.y);
-        touch.diameter = this.getDiameter(touch.x, touch.y);
+        let touch = {id: e.pointerId, alive: true};
+        this.setTouchPosition(touch, e);
 
         if (touch.index >= this.tongueLowerIndexBound-4 && touch.index<=this.tongueUpperIndexBound+4 
-            && touch.diameter >= this.innerTongueControlRadius-0.5 && touch.diameter <= this.outerTongueControlRadius+0.5)
+            && touch.diameter >= this.innerTongueControlRadius-0.5 && touch.diameter <= this.outerTongueControlRadius+0.5
+            && !this.tongueTouch?.alive)
         {
             this.tongueTouch = touch;
         }
 
-        this.mouseTouch = touch;
         this.touchesWithMouse.push(touch);   
         this.handleTouches();
     }
 
-    moveMouse(e)
+    moveTouch(e)
     {
-        let touch = this.mouseTouch;
-        if (!touch?.alive) return;
-        touch.x = (e.pageX-this.cnv.offsetLeft)/this.cnv.getBoundingClientRect().width*600;
-        touch.y = (e.pageY-this.cnv.offsetTop)/this.cnv.getBoundingClientRect().width*600;
-        touch.index = this.getIndex(touch.x, touch.y);
-        touch.diameter = this.getDiameter(touch.x, touch.y); 
+        let touch = this.touchesWithMouse.find((t) => t.id == e.pointerId && t.alive);
+        if (!touch) return;
+        this.setTouchPosition(touch, e);
         this.handleTouches();
     }
 
-    endMouse() {
-        let touch = this.mouseTouch;
-        if (!touch.alive) return;
+    endTouch(e) {
+        let touch = this.touchesWithMouse.find((t) => t.id == e.pointerId && t.alive);
+        if (!touch) return;
         touch.alive = false;
         this.handleTouches();
+        this.touchesWithMouse = this.touchesWithMouse.filter((t) => t.alive);
+    }
 
-        this.voice.tract.parameters.get("constriction-index").value = 0;
-        this.voice.tract.parameters.get("constriction-diameter").value = 0;
+    setTouchPosition(touch, e) {
+        const rect = this.cnv.getBoundingClientRect();
+        touch.x = (e.clientX-rect.left)/rect.width*600;
+        touch.y = (e.clientY-rect.top)/rect.height*600;
+        touch.index = this.getIndex(touch.x, touch.y);
+        touch.diameter = this.getDiameter(touch.x, touch.y);
     }
 
     handleTouches() {
@@ -240,17 +550,17 @@ class TractUI {
 
         this.voice.tract.parameters.get('velum-target').value = 0.01
 
-        for (let j=0; j<this.touchesWithMouse.length; j++) {
-            var touch = this.touchesWithMouse[j];
-            if (!touch.alive) continue;            
-            var x = touch.x;
-            var y = touch.y;
-            index = this.getIndex(x,y);
-            diameter = this.getDiameter(x,y) - 0.3;
+        //the first two other touches are the tongue tip constrictions.
+        //an index of 0 turns a constriction off
+        let constrictionTouches = this.touchesWithMouse.filter((t) => t.alive && t != this.tongueTouch);
+        ["constriction", "constriction2"].forEach((name, j) => {
+            var touch = constrictionTouches[j];
+            index = touch ? this.getIndex(touch.x, touch.y) : 0;
+            diameter = touch ? this.getDiameter(touch.x, touch.y) - 0.3 : 0;
 
-            this.voice.tract.parameters.get('constriction-index').value = index || 0;
-            this.voice.tract.parameters.get('constriction-diameter').value = diameter || 0;
-        }
+            this.voice.tract.parameters.get(`${name}-index`).value = index || 0;
+            this.voice.tract.parameters.get(`${name}-diameter`).value = diameter || 0;
+        });
 
         this.voice.tract.parameters.get('fricative-strength').value = 1;
     }
@@ -268,7 +578,13 @@ class TractUI {
     }
 
     draw() {
-        if (!this.ctx || !this.voice.d) return;
+        //keep the state coming at the drawing rate
+        if (this.voice.stateUpdates == "on-demand") this.voice.requestState();
+        if (!this.ctx) return;
+        //one state for the whole frame (a single read with shared state)
+        this.state = this.voice.getState();
+        const d = this.state.d;
+        if (!d) return;
 
         this.ctx.clearRect(0, 0, this.ctx.canvas.width, this.ctx.canvas.height);
 
@@ -277,7 +593,7 @@ class TractUI {
         
         this.drawTongueControl();
         
-        var velum = this.voice.v;
+        var velum = this.state.v;
         var velumAngle = velum * 4;
         
         //first draw fill
@@ -288,7 +604,7 @@ class TractUI {
 
         this.moveTo(1,0);
         for (let i = 1; i < this.n; i++) {
-            this.lineTo(i, this.voice.d[i]);
+            this.lineTo(i, d[i]);
         }
         for (let i = this.n-1; i >= 2; i--) this.lineTo(i, 0);  
         this.ctx.closePath();
@@ -340,8 +656,8 @@ class TractUI {
         this.ctx.strokeStyle = this.lineColour;
         this.ctx.lineJoin = 'round';
         this.ctx.lineCap = 'round';          
-        this.moveTo(1, this.voice.d[0]);
-        for (let i = 2; i < this.n; i++) this.lineTo(i, this.voice.d[i]);
+        this.moveTo(1, d[0]);
+        for (let i = 2; i < this.n; i++) this.lineTo(i, d[i]);
         this.moveTo(1,0);
         for (let i = 2; i <= this.noseStart-2; i++) this.lineTo(i, 0);
         this.moveTo(this.noseStart+velumAngle-2,0);
@@ -372,7 +688,7 @@ class TractUI {
         this.ctx.font="20px Arial";
         this.ctx.textAlign = "center";
         this.ctx.globalAlpha = 0.7;
-        this.drawText(this.n*0.93, 0.8+0.8*this.voice.d[this.n-1], " lip"); 
+        this.drawText(this.n*0.93, 0.8+0.8*d[this.n-1], " lip"); 
 
         this.drawBackground();
         this.drawPositions();
@@ -383,17 +699,28 @@ class TractUI {
         };
     }
 
+    //the tract shakes with the amplitude at the lips and nostrils, like in the original
+    getWobble(i) {
+        const amplitudes = this.state?.amplitudes;
+        const noseAmplitudes = this.state?.noseAmplitudes;
+        if (!amplitudes || !noseAmplitudes) return 0;
+        const wobble = amplitudes[amplitudes.length-1] + noseAmplitudes[noseAmplitudes.length-1];
+        return wobble * 0.03 * Math.sin(2*i - 50*this.voice.ctx.currentTime) * i / this.n;
+    }
+
     moveTo(i, d) {
-        var angle = this.angleOffset + i * this.angleScale * Math.PI / (this.lipStart-1);
-        var r = this.radius - this.scale*d;
+        var wobble = this.getWobble(i);
+        var angle = this.angleOffset + i * this.angleScale * Math.PI / (this.lipStart-1) + wobble;
+        var r = this.radius - this.scale*d + 100*wobble;
         var x = this.originX-r*Math.cos(angle);
         var y = this.originY-r*Math.sin(angle);
         this.ctx.moveTo(x, y);
     }
     
     lineTo(i, d) {
-        var angle = this.angleOffset + i * this.angleScale * Math.PI / (this.lipStart-1);
-        var r = this.radius - this.scale*d;
+        var wobble = this.getWobble(i);
+        var angle = this.angleOffset + i * this.angleScale * Math.PI / (this.lipStart-1) + wobble;
+        var r = this.radius - this.scale*d + 100*wobble;
         var x = this.originX-r*Math.cos(angle);
         var y = this.originY-r*Math.sin(angle);
         this.ctx.lineTo(x, y);
@@ -480,22 +807,26 @@ class TractUI {
         this.ctx.restore();
     }
 
+    //the standing waves in the tract and nose, as lines across each segment as thick as its peak amplitude
     drawAmplitudes() {
+        const {d, amplitudes, noseAmplitudes} = this.state;
+        if (!amplitudes || !noseAmplitudes) return;
+
         this.ctx.strokeStyle = "orchid";
         this.ctx.lineCap = "butt";
         this.ctx.globalAlpha = 0.3;
         for (let i=2; i<this.n-1; i++)
         {
             this.ctx.beginPath();
-            this.ctx.lineWidth = 1; //Math.sqrt(Tract.maxAmplitude[i])*3;
+            this.ctx.lineWidth = Math.sqrt(amplitudes[i] ?? 0)*3;
             this.moveTo(i, 0);
-            this.lineTo(i, this.voice.d[i]);
+            this.lineTo(i, d[i]);
             this.ctx.stroke();
         }
         for (let i=1; i<this.noseLength-1; i++)
         {
             this.ctx.beginPath();
-            this.ctx.lineWidth = 1; //Math.sqrt(Tract.noseMaxAmplitude[i]) * 3;
+            this.ctx.lineWidth = Math.sqrt(noseAmplitudes[i] ?? 0) * 3;
             this.moveTo(i+this.noseStart, -this.noseOffset);
             this.lineTo(i+this.noseStart, -this.noseOffset - this.noseDiameter[i]*0.9);
             this.ctx.stroke();
@@ -582,6 +913,457 @@ class TractUI {
     }
 }
 
+//pitch keyboard and "always voice" / "pitch wobble" toggles, from the original Pink Trombone voicebox control
+export class GlottisUI {
+
+    keyboardTop = 0;
+    keyboardLeft = 0;
+    keyboardWidth = 600;
+    keyboardHeight = 100;
+    semitones = 20;
+    marks = [0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 1, 0, 0, 0, 0];
+    baseNote = 87.3071; //F
+    paleColour = '#ffeef5';
+
+    //position of the pitch marker, drawn once the keyboard has been played
+    x = null;
+    y = null;
+
+    //pass an MPT_Voice class object and an HTMLCanvasElement
+    constructor(voice, cnv) {
+        this.voice = voice;
+        this.cnv = cnv;
+        this.ctx = this.cnv.getContext("2d");
+
+        this.cnv.width = 600;
+        this.cnv.height = 150;
+        this.cnv.style.touchAction = "none";
+
+        this.buttons = [
+            {x: 140, y: 112, width: 140, height: 30, text: "always voice", param: "always-voice"},
+            {x: 320, y: 112, width: 140, height: 30, text: "pitch wobble", param: "auto-wobble"}
+        ];
+
+        this.listeners = addPointerListeners(this);
+    }
+
+    //remove the canvas listeners, when the voice is disposed
+    dispose() {
+        if (this.listeners) removeListeners(this.cnv, this.listeners);
+        this.listeners = null;
+        this.touch = null;
+    }
+
+    param(name) {
+        return this.voice.glottis.parameters.get(name);
+    }
+
+    //the keyboard is played by one pointer at a time, the buttons toggle on press
+    startTouch(e) {
+        let position = this.getTouchPosition(e);
+
+        let button = this.buttons.find((b) => position.x >= b.x && position.x <= b.x + b.width
+            && position.y >= b.y && position.y <= b.y + b.height);
+        if (button) {
+            let param = this.param(button.param);
+            param.value = param.value >= 0.5 ? 0 : 1;
+            return;
+        }
+
+        if (this.touch || position.y > this.keyboardTop + this.keyboardHeight) return;
+        this.cnv.setPointerCapture(e.pointerId);
+        this.touch = {id: e.pointerId, ...position};
+        this.handleTouch();
+    }
+
+    moveTouch(e) {
+        if (this.touch?.id != e.pointerId) return;
+        Object.assign(this.touch, this.getTouchPosition(e));
+        this.handleTouch();
+    }
+
+    endTouch(e) {
+        if (this.touch?.id != e.pointerId) return;
+        this.touch = null;
+        this.param("voice-gate").value = 0;
+    }
+
+    getTouchPosition(e) {
+        const rect = this.cnv.getBoundingClientRect();
+        return {
+            x: (e.clientX-rect.left)/rect.width*this.cnv.width,
+            y: (e.clientY-rect.top)/rect.height*this.cnv.height
+        };
+    }
+
+    //x plays a semitone of the keyboard, y sets tenseness (strained at the top, breathy at the bottom)
+    handleTouch() {
+        var local_y = this.touch.y - this.keyboardTop - 10;
+        var local_x = this.touch.x - this.keyboardLeft;
+        local_y = constrain(local_y, 0, this.keyboardHeight - 26);
+        var semitone = this.semitones * local_x / this.keyboardWidth + 0.5;
+        var t = constrain(1 - local_y / (this.keyboardHeight - 28), 0, 1);
+
+        this.param("frequency").value = this.baseNote * Math.pow(2, semitone/12);
+        this.param("pitchbend").value = 0;
+        this.param("tenseness-mult").value = 1 - Math.cos(t * Math.PI * 0.5);
+        this.param("intensity").value = 1;
+        this.param("voice-gate").value = 1;
+
+        this.x = this.touch.x;
+        this.y = local_y + this.keyboardTop + 10;
+    }
+
+    draw() {
+        this.ctx.clearRect(0, 0, this.cnv.width, this.cnv.height);
+        this.ctx.lineCap = 'round';
+        this.ctx.lineJoin = 'round';
+
+        this.drawKeyboard();
+        this.drawPitchControl();
+        for (let button of this.buttons) this.drawButton(button);
+
+        if (this.voice.ctx.state != "running") {
+            this.ctx.fillStyle = "rgba(255, 255, 255, 0.5)"
+            this.ctx.fillRect(0, 0, this.cnv.width, this.cnv.height);
+        };
+    }
+
+    drawKeyboard() {
+        this.ctx.strokeStyle = this.paleColour;
+        this.ctx.fillStyle = this.paleColour;
+        this.ctx.globalAlpha = 1.0;
+
+        this.drawBar(0.0, 0.4, 8);
+        this.ctx.globalAlpha = 0.7;
+        this.drawBar(0.52, 0.72, 8);
+
+        this.ctx.strokeStyle = "orchid";
+        this.ctx.fillStyle = "orchid";
+        for (let i = 0; i < this.semitones; i++)
+        {
+            var keyWidth = this.keyboardWidth/this.semitones;
+            var x = this.keyboardLeft+(i+1/2)*keyWidth;
+            var y = this.keyboardTop;
+            if (this.marks[(i+3)%12]==1)
+            {
+                this.ctx.lineWidth = 4;
+                this.ctx.globalAlpha = 0.4;
+            }
+            else
+            {
+                this.ctx.lineWidth = 3;
+                this.ctx.globalAlpha = 0.2;
+            }
+            this.ctx.beginPath();
+            this.ctx.moveTo(x,y+9);
+            this.ctx.lineTo(x, y+this.keyboardHeight*0.4-9);
+            this.ctx.stroke();
+
+            this.ctx.lineWidth = 3;
+            this.ctx.globalAlpha = 0.15;
+
+            this.ctx.beginPath();
+            this.ctx.moveTo(x,y+this.keyboardHeight*0.52+6);
+            this.ctx.lineTo(x, y+this.keyboardHeight*0.72-6);
+            this.ctx.stroke();
+        }
+
+        this.ctx.font="17px Arial";
+        this.ctx.textAlign = "center";
+        this.ctx.globalAlpha = 0.7;
+        this.ctx.fillText("pitch", 300, this.keyboardTop+92);
+        this.ctx.globalAlpha = 0.3;
+        this.ctx.save();
+        this.ctx.translate(410, this.keyboardTop+87);
+        this.drawArrow(80, 2, 10);
+        this.ctx.translate(-220, 0);
+        this.ctx.rotate(Math.PI);
+        this.drawArrow(80, 2, 10);
+        this.ctx.restore();
+        this.ctx.globalAlpha = 1.0;
+    }
+
+    drawBar(topFactor, bottomFactor, radius) {
+        this.ctx.lineWidth = radius*2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(this.keyboardLeft+radius, this.keyboardTop+topFactor*this.keyboardHeight+radius);
+        this.ctx.lineTo(this.keyboardLeft+this.keyboardWidth-radius, this.keyboardTop+topFactor*this.keyboardHeight+radius);
+        this.ctx.lineTo(this.keyboardLeft+this.keyboardWidth-radius, this.keyboardTop+bottomFactor*this.keyboardHeight-radius);
+        this.ctx.lineTo(this.keyboardLeft+radius, this.keyboardTop+bottomFactor*this.keyboardHeight-radius);
+        this.ctx.closePath();
+        this.ctx.stroke();
+        this.ctx.fill();
+    }
+
+    drawArrow(l, ahw, ahl) {
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(-l, 0);
+        this.ctx.lineTo(0,0);
+        this.ctx.lineTo(0, -ahw);
+        this.ctx.lineTo(ahl, 0);
+        this.ctx.lineTo(0, ahw);
+        this.ctx.lineTo(0,0);
+        this.ctx.closePath();
+        this.ctx.stroke();
+        this.ctx.fill();
+    }
+
+    drawPitchControl() {
+        if (this.x === null) return;
+        var w=9;
+        var h=15;
+        this.ctx.lineWidth = 4;
+        this.ctx.strokeStyle = "orchid";
+        this.ctx.fillStyle = "orchid";
+        this.ctx.globalAlpha = 0.7;
+        this.ctx.beginPath();
+        this.ctx.moveTo(this.x-w, this.y-h);
+        this.ctx.lineTo(this.x+w, this.y-h);
+        this.ctx.lineTo(this.x+w, this.y+h);
+        this.ctx.lineTo(this.x-w, this.y+h);
+        this.ctx.closePath();
+        this.ctx.stroke();
+        this.ctx.globalAlpha = 0.15;
+        this.ctx.fill();
+        this.ctx.globalAlpha = 1.0;
+    }
+
+    //buttons show the current value of their param, so they follow automation too
+    drawButton(button) {
+        var radius = 10;
+        this.ctx.strokeStyle = this.paleColour;
+        this.ctx.fillStyle = this.paleColour;
+        this.ctx.globalAlpha = 1.0;
+        this.ctx.lineWidth = 2*radius;
+
+        this.ctx.beginPath();
+        this.ctx.moveTo(button.x+radius, button.y+radius);
+        this.ctx.lineTo(button.x+button.width-radius, button.y+radius);
+        this.ctx.lineTo(button.x+button.width-radius, button.y+button.height-radius);
+        this.ctx.lineTo(button.x+radius, button.y+button.height-radius);
+        this.ctx.closePath();
+        this.ctx.stroke();
+        this.ctx.fill();
+
+        this.ctx.font="16px Arial";
+        this.ctx.textAlign = "center";
+        if (this.param(button.param).value >= 0.5)
+        {
+            this.ctx.fillStyle = "orchid";
+            this.ctx.globalAlpha = 0.6;
+        }
+        else
+        {
+            this.ctx.fillStyle = "white";
+            this.ctx.globalAlpha = 1.0;
+        }
+        this.ctx.fillText(button.text, button.x+button.width/2, button.y+button.height/2+6);
+        this.ctx.globalAlpha = 1.0;
+    }
+}
+
+//IPA vowel chart controller: dragging across the trapezoid moves the tongue and lips between
+//the corner vowels of PHONEMES, from front (left) to back (right) and close (top) to open (bottom)
+export class VowelUI {
+
+    //corners of the chart, by vowel symbol
+    static CORNERS = {closeFront: "i", closeBack: "u", openFront: "æ", openBack: "ɒ"};
+
+    //where the PHONEMES vowels are labelled, as backness and openness (0-1) like on the IPA chart.
+    //unrounded and rounded vowels of the same height are drawn side by side
+    static POSITIONS = {
+        "i": [0, 0], "ɪ": [0.22, 0.15], "e": [0, 0.6], "æ": [0, 1],
+        "ə": [0.5, 0.45], "ʌ": [0.88, 0.65], "ɑ": [0.88, 1],
+        "u": [1, 0], "ʊ": [0.8, 0.15], "o": [1, 0.33], "ɔ": [1, 0.65], "ɒ": [1, 1]
+    };
+
+    //corners of the trapezoid on the canvas. The open front corner is indented, like on the IPA chart
+    top = 50;
+    bottom = 350;
+    closeFrontX = 70;
+    openFrontX = 290;
+    backX = 530;
+    paleColour = '#ffeef5';
+
+    //chart position of the marker, drawn once the chart has been played
+    position = null;
+
+    //the pointer playing the chart
+    touch = null;
+
+    //pass an MPT_Voice class object and an HTMLCanvasElement
+    constructor(voice, cnv) {
+        this.voice = voice;
+        this.cnv = cnv;
+        this.ctx = this.cnv.getContext("2d");
+
+        this.cnv.width = 600;
+        this.cnv.height = 400;
+        this.cnv.style.touchAction = "none";
+
+        this.listeners = addPointerListeners(this);
+        this.init(this.voice.UI.n);
+    }
+
+    //remove the canvas listeners, when the voice is disposed
+    dispose() {
+        if (this.listeners) removeListeners(this.cnv, this.listeners);
+        this.listeners = null;
+        this.touch = null;
+    }
+
+    //scale the chart to a tract of length n. Corner indices are given for n = 44, and
+    //the tongue stays within the bounds of the TractUI tongue control
+    init(n = 44) {
+        this.n = n;
+        this.tongueLowerIndexBound = Math.floor(10 * n / 44) + 2;
+        this.tongueUpperIndexBound = Math.floor(32 * n / 44) - 3;
+
+        const corner = (symbol) => {
+            const vowel = PHONEMES[symbol];
+            return {index: vowel.index, diameter: vowel.diameter, lip: vowel.lip};
+        };
+        const corners = VowelUI.CORNERS;
+        this.corners = [
+            corner(corners.closeFront), corner(corners.closeBack), 
+            corner(corners.openFront), corner(corners.openBack)
+        ];
+    }
+
+    param(name) {
+        return this.voice.tract.parameters.get(name);
+    }
+
+    //bilinear interpolation of the corner vowels at backness x and openness y (0-1), with the index for n = 44
+    getVowel(x, y) {
+        const weights = [(1-x)*(1-y), x*(1-y), (1-x)*y, x*y];
+        const vowel = {index: 0, diameter: 0, lip: 0};
+        this.corners.forEach((corner, i) => {
+            for (let name in vowel) vowel[name] += corner[name] * weights[i];
+        });
+        return vowel;
+    }
+
+    //canvas coordinates of a chart position, and back
+    getCanvasPosition(x, y) {
+        const left = this.closeFrontX + (this.openFrontX - this.closeFrontX) * y;
+        return {x: left + (this.backX - left) * x, y: this.top + (this.bottom - this.top) * y};
+    }
+
+    getChartPositionAt(canvasX, canvasY) {
+        const y = constrain((canvasY - this.top) / (this.bottom - this.top), 0, 1);
+        const left = this.closeFrontX + (this.openFrontX - this.closeFrontX) * y;
+        return {x: constrain((canvasX - left) / (this.backX - left), 0, 1), y};
+    }
+
+    //set the tongue and lips to a vowel, with its index for n = 44
+    setVowel(vowel) {
+        const index = vowel.index * this.n / 44;
+        this.param("tongue-index").value = constrain(index, this.tongueLowerIndexBound, this.tongueUpperIndexBound);
+        this.param("tongue-diameter").value = vowel.diameter;
+        this.param("lip-diameter").value = vowel.lip;
+    }
+
+    //move the marker to the vowel with the given IPA symbol and the tract to its PHONEMES shape (as used by speak()),
+    //which for vowels other than the corners differs from the interpolation at their chart position
+    moveTo(symbol) {
+        const vowel = PHONEMES[symbol];
+        if (vowel?.type != "vowel") throw new Error(`Unknown vowel "${symbol}"`);
+        const [x, y] = VowelUI.POSITIONS[symbol];
+        this.position = {x, y};
+        this.setVowel(vowel);
+    }
+
+    //the chart is played by one pointer at a time
+    startTouch(e) {
+        if (this.touch) return;
+        this.cnv.setPointerCapture(e.pointerId);
+        this.touch = {id: e.pointerId};
+        this.moveTouch(e);
+    }
+
+    moveTouch(e) {
+        if (this.touch?.id != e.pointerId) return;
+        const rect = this.cnv.getBoundingClientRect();
+        this.position = this.getChartPositionAt(
+            (e.clientX-rect.left)/rect.width*this.cnv.width, 
+            (e.clientY-rect.top)/rect.height*this.cnv.height
+        );
+        this.setVowel(this.getVowel(this.position.x, this.position.y));
+    }
+
+    endTouch(e) {
+        if (this.touch?.id == e.pointerId) this.touch = null;
+    }
+
+    draw() {
+        this.ctx.clearRect(0, 0, this.cnv.width, this.cnv.height);
+        this.ctx.lineCap = 'round';
+        this.ctx.lineJoin = 'round';
+
+        this.drawChart();
+        this.drawVowels();
+        this.drawMarker();
+
+        if (this.voice.ctx.state != "running") {
+            this.ctx.fillStyle = "rgba(255, 255, 255, 0.5)"
+            this.ctx.fillRect(0, 0, this.cnv.width, this.cnv.height);
+        };
+    }
+
+    drawChart() {
+        const corners = [[0, 0], [1, 0], [1, 1], [0, 1]].map(([x, y]) => this.getCanvasPosition(x, y));
+        this.ctx.strokeStyle = this.paleColour;
+        this.ctx.fillStyle = this.paleColour;
+        this.ctx.lineWidth = 16;
+        this.ctx.beginPath();
+        corners.forEach(({x, y}, i) => i ? this.ctx.lineTo(x, y) : this.ctx.moveTo(x, y));
+        this.ctx.closePath();
+        this.ctx.stroke();
+        this.ctx.fill();
+
+        this.ctx.fillStyle = "orchid";
+        this.ctx.font="17px Arial";
+        this.ctx.textAlign = "center";
+        this.ctx.globalAlpha = 0.7;
+        this.ctx.fillText("front", this.closeFrontX, this.top - 20);
+        this.ctx.fillText("back", this.backX, this.top - 20);
+        this.ctx.textAlign = "right";
+        this.ctx.fillText("close", this.closeFrontX - 12, this.top + 6);
+        this.ctx.fillText("open", this.openFrontX - 12, this.bottom + 6);
+        this.ctx.globalAlpha = 1.0;
+    }
+
+    drawVowels() {
+        this.ctx.fillStyle = "orchid";
+        this.ctx.font="20px Arial";
+        this.ctx.textAlign = "center";
+        this.ctx.globalAlpha = 0.6;
+        for (let symbol in VowelUI.POSITIONS) {
+            const {x, y} = this.getCanvasPosition(...VowelUI.POSITIONS[symbol]);
+            this.ctx.fillText(symbol, x, y + 7);
+        }
+        this.ctx.globalAlpha = 1.0;
+    }
+
+    drawMarker() {
+        if (!this.position) return;
+        const {x, y} = this.getCanvasPosition(this.position.x, this.position.y);
+        this.ctx.lineWidth = 4;
+        this.ctx.strokeStyle = "orchid";
+        this.ctx.fillStyle = "orchid";
+        this.ctx.globalAlpha = 0.7;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, 18, 0, 2*Math.PI);
+        this.ctx.stroke();
+        this.ctx.globalAlpha = 0.15;
+        this.ctx.fill();
+        this.ctx.globalAlpha = 1.0;
+    }
+}
+
 function constrain(n, low, high) {
     return Math.max(Math.min(n, high), low);
 };
\ No newline at end of file
@@ -0,0 +1,102 @@
+/*
+    Voice presets: complete voice configurations as plain JSON
+
+    A preset holds the value of every glottis and tract AudioParam and the voice gain:
+
+        {
+            version: 2,
+            gain: 1,
+            glottis: {"frequency": 140, "tenseness": 0.6, "aspiration-frequency": 500, ...},
+            tract: {"n": 44, "movement-speed": 15, "fricative-frequency": 1000, ...}
+        }
+
+    Anything left out of a preset is set back to its default when it is applied,
+    so the built-in presets below only list what differs from the default voice.
+
+    Version 1 presets held the aspiration and fricative noise filter settings apart,
+    as aspiration: {frequency, Q} and fricative: {frequency, Q}. They are still
+    accepted, and are upgraded to the params that replaced the filters.
+*/
+
+export const PRESET_VERSION = 2;
+
+//built-in presets, by name
+export const PRESETS = {
+    "child": {
+        version: 2,
+        glottis: {"frequency": 280, "tenseness": 0.55, "vibrato-amount": 0.003, "aspiration-frequency": 900},
+        tract: {"n": 30, "movement-speed": 18, "fricative-frequency": 1600}
+    },
+    "adult male": {
+        version: 2,
+        glottis: {"frequency": 110, "tenseness": 0.6},
+        tract: {"n": 44}
+    },
+    "adult female": {
+        version: 2,
+        glottis: {"frequency": 200, "tenseness": 0.55, "aspiration-frequency": 700},
+        tract: {"n": 38, "movement-speed": 16, "fricative-frequency": 1300}
+    },
+    "whisper": {
+        version: 2,
+        glottis: {"tenseness": 0, "vibrato-amount": 0, "aspiration-frequency": 1200, "aspiration-q": 0.4}
+    },
+    "robot": {
+        version: 2,
+        glottis: {"frequency": 100, "tenseness": 0.9, "vibrato-amount": 0, "auto-wobble": 0, "aspiration-q": 2},
+        tract: {"movement-speed": 40, "fricative-frequency": 2500, "fricative-q": 2}
+    }
+};
+
+//capture the current configuration of an MPT_Voice as a preset
+export function getPreset(voice) {
+    const values = (node) => Object.fromEntries([...node.parameters].map(([name, param]) => [name, param.value]));
+    return {
+        version: PRESET_VERSION,
+        gain: voice.gainNode.gain.value,
+        glottis: values(voice.glottis),
+        tract: values(voice.tract)
+    };
+}
+
+//a copy of a preset of any supported version, upgraded to the current version
+export function upgradePreset(preset) {
+    if (preset.version === undefined || preset.version > PRESET_VERSION) {
+        throw new Error(`Unsupported preset version ${preset.version} (latest is ${PRESET_VERSION})`);
+    }
+    if (preset.version == PRESET_VERSION) return preset;
+
+    //version 1: noise filter settings were kept apart from the params
+    const {aspiration, fricative, ...rest} = preset;
+    const upgraded = {...rest, version: 2, glottis: {...preset.glottis}, tract: {...preset.tract}};
+    if (aspiration?.frequency !== undefined) upgraded.glottis["aspiration-frequency"] = aspiration.frequency;
+    if (aspiration?.Q !== undefined) upgraded.glottis["aspiration-q"] = aspiration.Q;
+    if (fricative?.frequency !== undefined) upgraded.tract["fricative-frequency"] = fricative.frequency;
+    if (fricative?.Q !== undefined) upgraded.tract["fricative-q"] = fricative.Q;
+    return upgraded;
+}
+
+//apply a preset object, a preset JSON string or the name of a built-in preset to an MPT_Voice
+export function applyPreset(voice, preset) {
+    if (typeof preset == "string") {
+        if (preset.trim().startsWith("{")) preset = JSON.parse(preset);
+        else if (PRESETS[preset]) preset = PRESETS[preset];
+        else throw new Error(`Unknown preset "${preset}"`);
+    }
+    preset = upgradePreset(preset);
+
+    voice.setGain(preset.gain ?? 1);
+
+    for (let node of ["glottis", "tract"]) {
+        const values = preset[node] ?? {};
+        for (let name in values) {
+            if (!voice[node].parameters.has(name)) throw new Error(`Preset has unknown ${node} param "${name}"`);
+        }
+        for (let [name, param] of voice[node].parameters) {
+            if (node == "tract" && name == "n") continue;
+            param.value = voice.checkRange(node, name, values[name] ?? param.defaultValue);
+        }
+    }
+    //setN() also resizes the tract GUI
+    voice.setN(preset.tract?.n ?? voice.tract.parameters.get("n").defaultValue);
+}
@@ -0,0 +1,111 @@
+/*
+    Recording of MPT_Voice performances as timelines (see timeline.js)
+
+    While recording, every AudioParam of the voice's glottis, tract and gain is
+    wrapped, so value changes and automation calls made through the GUI or the API
+    are timestamped and stored as timeline events. The first events hold the value
+    of every param when recording started, so the timeline replays from the same state.
+
+        const recorder = new Recorder(voice);
+        recorder.start();
+        ...
+        const timeline = recorder.stop();
+        localStorage.take = JSON.stringify(timeline);
+
+    cancelScheduledValues() calls are not recorded.
+*/
+import { getParam } from "./timeline.js";
+
+const METHODS = {
+    setValueAtTime: "set",
+    linearRampToValueAtTime: "linear",
+    exponentialRampToValueAtTime: "exponential",
+    setTargetAtTime: "target"
+};
+
+const VALUE = Object.getOwnPropertyDescriptor(globalThis.AudioParam?.prototype ?? {}, "value");
+
+//keep timelines compact: times to 0.1ms, values to 6 significant digits
+const roundTime = (t) => Math.round(t * 10000) / 10000;
+const roundValue = (v) => Number(v.toPrecision(6));
+
+export class Recorder {
+
+    timeline = [];
+    recording = false;
+
+    constructor(voice) {
+        this.voice = voice;
+    }
+
+    //every param of the voice as {node, param, audioParam}
+    getParams() {
+        return [
+            {node: "gain", param: "gain", audioParam: getParam(this.voice, "gain")},
+            ...["glottis", "tract"].flatMap((node) => [...this.voice[node].parameters.keys()].map(
+                (param) => ({node, param, audioParam: getParam(this.voice, node, param)})
+            ))
+        ];
+    }
+
+    //start a new recording, discarding the previous one
+    start() {
+        if (this.recording) this.stop();
+        this.recording = true;
+        this.timeline = [];
+        this.startTime = this.voice.ctx.currentTime;
+        this.lastValues = new Map();
+        //without AudioParam (outside a browser), value is the param's own property, put back by stop()
+        this.wrapped = this.getParams().map(
+            (p) => ({...p, own: Object.getOwnPropertyDescriptor(p.audioParam, "value")})
+        );
+
+        for (let {node, param, audioParam, own} of this.wrapped) {
+            this.add(node, param, 0, audioParam.value);
+
+            const {get, set} = VALUE ?? {get: () => own.value, set: (value) => own.value = value};
+            const recorder = this;
+            Object.defineProperty(audioParam, "value", {
+                configurable: true,
+                get() { return get.call(this); },
+                set(value) {
+                    set.call(this, value);
+                    recorder.add(node, param, recorder.voice.ctx.currentTime - recorder.startTime, value);
+                }
+            });
+            for (let method in METHODS) {
+                audioParam[method] = function(value, time, timeConstant) {
+                    recorder.add(node, param, time - recorder.startTime, value, METHODS[method], timeConstant);
+                    return Object.getPrototypeOf(this)[method].apply(this, arguments);
+                };
+            }
+        }
+    }
+
+    //stop recording and return the timeline
+    stop() {
+        if (!this.recording) return this.timeline;
+        this.recording = false;
+        for (let {audioParam, own} of this.wrapped) {
+            if (own) Object.defineProperty(audioParam, "value", own);
+            else delete audioParam.value;
+            for (let method in METHODS) delete audioParam[method];
+        }
+        this.wrapped = null;
+        this.timeline.sort((a, b) => a[0] - b[0]);
+        return this.timeline;
+    }
+
+    add(node, param, time, value, method = "set", timeConstant) {
+        const key = `${node}.${param}`;
+        value = roundValue(value);
+        //the GUI sets some params on every pointer move, even when they don't change
+        if (method == "set" && this.lastValues.get(key) === value) return;
+        this.lastValues.set(key, method == "set" ? value : undefined);
+
+        const event = [roundTime(Math.max(0, time)), node, param, value];
+        if (method != "set") event.push(method);
+        if (method == "target") event.push(roundValue(timeConstant));
+        this.timeline.push(event);
+    }
+}
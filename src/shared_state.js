@@ -0,0 +1,96 @@
+/*
+    Modular Pink Trombone - shared state
+
+    With the "shared" stateUpdates voice option, the glottis and tract processors
+    write their state to a SharedArrayBuffer every block instead of posting it,
+    and the main script reads it from there whenever it needs it. SharedState
+    lays the buffer out and is used on both sides:
+
+        const state = new SharedState(new SharedArrayBuffer(SharedState.BYTES));
+        state.writeTract(tract); //in the tract processor
+        state.read().d; //in the main script
+
+    Reads aren't synchronised with writes, so a read during a write can mix
+    values of two consecutive blocks. That's fine for drawing and analysis.
+*/
+
+//maximum tract length (the maxValue of the n param) and nose length
+const MAX_N = 60;
+const MAX_NOSE_LENGTH = Math.floor(28 * MAX_N / 44);
+
+//layout, in Float64Array elements
+const SEQUENCE = 0; //incremented after every tract write, 0 until the first one
+const N = 1;
+const NOSE_LENGTH = 2;
+const VELUM = 3;
+const NOSE_SEQUENCE = 4; //incremented whenever the nose diameters change
+const GLOTTIS_PHASE = 5;
+const GLOTTIS_FREQUENCY = 6;
+const DIAMETERS = 8;
+const AMPLITUDES = DIAMETERS + MAX_N;
+const NOSE_DIAMETERS = AMPLITUDES + MAX_N;
+const NOSE_AMPLITUDES = NOSE_DIAMETERS + MAX_NOSE_LENGTH;
+const LENGTH = NOSE_AMPLITUDES + MAX_NOSE_LENGTH;
+
+export class SharedState {
+
+  static BYTES = LENGTH * Float64Array.BYTES_PER_ELEMENT;
+
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.array = new Float64Array(buffer);
+    //views of the current lengths, recreated when the tract length changes
+    this.views = null;
+  }
+
+  writeTract(tract) {
+    const array = this.array;
+    const nose = tract.nose;
+    array[N] = tract.n;
+    array[NOSE_LENGTH] = nose.length;
+    array[VELUM] = nose.diameter[0];
+    array.set(tract.diameter, DIAMETERS);
+    array.set(tract.maxAmplitude, AMPLITUDES);
+    array.set(nose.maxAmplitude, NOSE_AMPLITUDES);
+    if (nose.changed) {
+      array.set(nose.diameter, NOSE_DIAMETERS);
+      array[NOSE_SEQUENCE]++;
+      nose.changed = false;
+    }
+    array[SEQUENCE]++;
+  }
+
+  writeGlottis(glottis) {
+    this.array[GLOTTIS_PHASE] = glottis.timeInWaveform / glottis.waveformLength;
+    this.array[GLOTTIS_FREQUENCY] = glottis.frequency;
+  }
+
+  /*
+    the current state, as {d, v, amplitudes, noseDiameters, noseAmplitudes, noseSequence,
+    glottisPhase, glottisFrequency}. The arrays are live views of the buffer.
+    Returns null until the tract has written its state once
+  */
+  read() {
+    const array = this.array;
+    if (!array[SEQUENCE]) return null;
+
+    const n = array[N];
+    const noseLength = array[NOSE_LENGTH];
+    if (this.views?.n != n) {
+      this.views = {
+        n,
+        d: array.subarray(DIAMETERS, DIAMETERS + n),
+        amplitudes: array.subarray(AMPLITUDES, AMPLITUDES + n),
+        noseDiameters: array.subarray(NOSE_DIAMETERS, NOSE_DIAMETERS + noseLength),
+        noseAmplitudes: array.subarray(NOSE_AMPLITUDES, NOSE_AMPLITUDES + noseLength)
+      };
+    }
+    return {
+      ...this.views,
+      v: array[VELUM],
+      noseSequence: array[NOSE_SEQUENCE],
+      glottisPhase: array[GLOTTIS_PHASE],
+      glottisFrequency: array[GLOTTIS_FREQUENCY]
+    };
+  }
+}
@@ -0,0 +1,69 @@
+/*
+    Parameter automation timelines
+
+    A timeline is an array of events, each a compact array:
+        [time, node, param, value, method, timeConstant]
+    time - seconds from the start of the timeline
+    node - "glottis", "tract" or "gain"
+    param - AudioParam name on that node ("frequency", "tongue-index", ...). Ignored for "gain"
+    method (optional) - how the param gets to value:
+        "set" (default) - setValueAtTime
+        "linear" - linearRampToValueAtTime, ending at time
+        "exponential" - exponentialRampToValueAtTime, ending at time
+        "target" - setTargetAtTime, starting at time with the given timeConstant
+*/
+
+//get an AudioParam of an MPT_Voice by node and param name
+export function getParam(voice, node, param) {
+    if (node == "gain") return voice.gainNode.gain;
+    let audioParam = voice[node]?.parameters.get(param);
+    if (!audioParam) throw new Error(`Voice ${voice.name} has no ${node} param "${param}"`);
+    return audioParam;
+}
+
+//call back once a context reaches a time, from the ended event of a silent source, so it works in both
+//real-time and offline contexts (like speak() in phonemes.js)
+export function callAt(ctx, time, callback) {
+    const timer = new ConstantSourceNode(ctx, {offset: 0});
+    timer.onended = () => {
+        timer.disconnect();
+        callback();
+    };
+    timer.connect(ctx.destination);
+    timer.start();
+    timer.stop(time);
+}
+
+/*
+    schedule a timeline on a voice's AudioParams, starting at the given AudioContext time
+    options (all optional):
+        stretch - time stretch factor, 2 plays the timeline at half speed (default 1)
+        transpose - semitones to shift glottis frequency values by (default 0)
+*/
+export function scheduleTimeline(voice, timeline, startTime = voice.ctx.currentTime, options = {}) {
+    const {stretch = 1, transpose = 0} = options;
+    for (let [time, node, param, value, method = "set", timeConstant] of timeline) {
+        let audioParam = getParam(voice, node, param);
+        let t = startTime + time * stretch;
+        if (node == "glottis" && param == "frequency") value *= Math.pow(2, transpose / 12);
+        if (node == "tract" && param == "n" && method == "set") {
+            //setN() also resizes the tract GUI, once the context reaches the event
+            audioParam.setValueAtTime(value, t);
+            callAt(voice.ctx, t, () => voice.setN(value));
+            continue;
+        }
+        voice.checkRange(node, param, value);
+        switch (method) {
+            case "set": audioParam.setValueAtTime(value, t); break;
+            case "linear": audioParam.linearRampToValueAtTime(value, t); break;
+            case "exponential": audioParam.exponentialRampToValueAtTime(value, t); break;
+            case "target": audioParam.setTargetAtTime(value, t, timeConstant * stretch); break;
+            default: throw new Error(`Unknown timeline method "${method}"`);
+        }
+    }
+}
+
+//time of the last event in a timeline
+export function getTimelineDuration(timeline) {
+    return timeline.reduce((end, [time]) => Math.max(end, time), 0);
+}
@@ -0,0 +1,260 @@
+/*
+    Modular Pink Trombone - voice tracking
+
+    Analysis of an input voice (microphone, file...) into MPT_Voice params:
+    pitch (YIN), loudness (RMS level) and formants (LPC roots), which
+    are looked up in a table of tract params and the formants they produce
+    (see getVowelGrid() in vowel_solver.js).
+
+    Like the classes in pink_trombone_dsp.js, VoiceAnalyser has no dependency on
+    the AudioWorkletGlobalScope. The "tracker" AudioWorkletProcessor wraps it,
+    and it can be run directly (ex. in Node) on blocks of input samples:
+
+        const analyser = new VoiceAnalyser(44100, {grid});
+        const values = analyser.process(inputBlock);
+        //{frequency, intensity, "tenseness-mult", "tongue-index", "tongue-diameter", "lip-diameter"},
+        //each an array with one value per sample
+*/
+
+//the input is decimated to about this rate before analysis
+const ANALYSIS_RATE = 11025;
+
+//analysis frame length, in decimated samples (46ms at 11025Hz)
+const FRAME_LENGTH = 512;
+
+//the frame is analysed whenever this many new decimated samples have come in
+const HOP_LENGTH = 64;
+
+const LPC_ORDER = 12;
+
+//YIN threshold on the cumulative mean normalized difference. Frames above it are unvoiced
+const YIN_THRESHOLD = 0.2;
+
+//params written by VoiceAnalyser.process(), in output order
+export const TRACKED_PARAMS = [
+  "frequency", "intensity", "tenseness-mult", "tongue-index", "tongue-diameter", "lip-diameter"
+];
+
+export class VoiceAnalyser {
+
+  /*
+    options (all optional):
+      grid - rows of {formants: [F1, F2, F3], params: {"tongue-index", "tongue-diameter", "lip-diameter"}}
+        to look formants up in. Without one, the tract params keep their initial values
+      minFrequency, maxFrequency - pitch search range, in Hz (default 60-800)
+      minLevel, maxLevel - input levels mapped to intensity 0 and 1, in dBFS (default -50 and -15)
+      formantScale - multiplier of the input formants before lookup, ex. 44 / 38 to map an
+        adult female voice on an adult male length tract (default 1)
+      smoothing - time constant of the output values, in seconds (default 0.03)
+      initial - initial output values, by param name
+  */
+  constructor(sampleRate, options = {}) {
+    this.sampleRate = sampleRate;
+    this.decimation = Math.max(1, Math.round(sampleRate / ANALYSIS_RATE));
+    this.rate = sampleRate / this.decimation;
+
+    this.grid = options.grid ?? null;
+    this.minFrequency = options.minFrequency ?? 60;
+    this.maxFrequency = options.maxFrequency ?? 800;
+    this.minLevel = options.minLevel ?? -50;
+    this.maxLevel = options.maxLevel ?? -15;
+    this.formantScale = options.formantScale ?? 1;
+    this.smoothing = Math.exp(-1 / ((options.smoothing ?? 0.03) * sampleRate));
+
+    this.values = {
+      "frequency": 140, "intensity": 0, "tenseness-mult": 1,
+      "tongue-index": 12.9, "tongue-diameter": 2.43, "lip-diameter": 1.5,
+      ...options.initial
+    };
+    this.targets = {...this.values};
+
+    //ring buffer of the last FRAME_LENGTH decimated samples, unrolled into frame (oldest first) for analysis
+    this.buffer = new Float32Array(FRAME_LENGTH);
+    this.writeIndex = 0;
+    this.frame = new Float32Array(FRAME_LENGTH);
+    this.sum = 0;
+    this.summed = 0;
+    this.newSamples = 0;
+
+    //last analysis results, for inspection
+    this.pitch = null;
+    this.level = -Infinity;
+    this.formants = [];
+  }
+
+  //analyse one block of input, returning the tracked param values with one value per sample
+  process(input, outputs = Object.fromEntries(TRACKED_PARAMS.map((p) => [p, new Float32Array(input.length)]))) {
+    for (let j = 0; j < input.length; j++) {
+      this.sum += input[j];
+      if (++this.summed == this.decimation) {
+        this.buffer[this.writeIndex] = this.sum / this.decimation;
+        this.writeIndex = (this.writeIndex + 1) % FRAME_LENGTH;
+        this.sum = this.summed = 0;
+        if (++this.newSamples == HOP_LENGTH) {
+          this.newSamples = 0;
+          this.analyse();
+        }
+      }
+
+      for (let param of TRACKED_PARAMS) {
+        this.values[param] = this.targets[param] + (this.values[param] - this.targets[param]) * this.smoothing;
+        outputs[param][j] = this.values[param];
+      }
+    }
+    return outputs;
+  }
+
+  analyse() {
+    this.frame.set(this.buffer.subarray(this.writeIndex));
+    this.frame.set(this.buffer.subarray(0, this.writeIndex), FRAME_LENGTH - this.writeIndex);
+
+    this.level = 10 * Math.log10(this.frame.reduce((sum, x) => sum + x * x, 0) / FRAME_LENGTH + 1e-12);
+    const loudness = Math.min(Math.max((this.level - this.minLevel) / (this.maxLevel - this.minLevel), 0), 1);
+    this.pitch = loudness > 0 ? getPitch(this.frame, this.rate, this.minFrequency, this.maxFrequency) : null;
+
+    //voiced frames drive the pitch, unvoiced but loud frames are whispered
+    this.targets["intensity"] = loudness;
+    this.targets["tenseness-mult"] = this.pitch ? 1 : 0;
+    if (this.pitch) this.targets["frequency"] = this.pitch;
+
+    if (loudness == 0 || !this.grid) return;
+    this.formants = getFormantsLPC(this.frame, this.rate, LPC_ORDER).map((f) => f * this.formantScale);
+    if (this.formants.length >= 2) Object.assign(this.targets, lookupFormants(this.grid, this.formants));
+  }
+}
+
+//fundamental frequency of a frame with the YIN algorithm, or null if it isn't periodic
+export function getPitch(frame, sampleRate, minFrequency = 60, maxFrequency = 800) {
+  const minLag = Math.max(2, Math.floor(sampleRate / maxFrequency));
+  const maxLag = Math.min(Math.ceil(sampleRate / minFrequency), Math.floor(frame.length / 2));
+  const window = frame.length - maxLag;
+
+  //cumulative mean normalized difference function
+  const cmnd = new Float32Array(maxLag + 2);
+  let runningSum = 0;
+  cmnd[0] = 1;
+  for (let lag = 1; lag <= maxLag + 1; lag++) {
+    let difference = 0;
+    for (let i = 0; i < window; i++) {
+      const delta = frame[i] - frame[i + lag];
+      difference += delta * delta;
+    }
+    runningSum += difference;
+    cmnd[lag] = runningSum ? difference * lag / runningSum : 1;
+  }
+
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    if (cmnd[lag] >= YIN_THRESHOLD) continue;
+    while (lag < maxLag && cmnd[lag + 1] < cmnd[lag]) lag++;
+    //parabolic interpolation around the minimum
+    const a = cmnd[lag - 1], b = cmnd[lag], c = cmnd[lag + 1];
+    const offset = a - 2 * b + c ? 0.5 * (a - c) / (a - 2 * b + c) : 0;
+    return sampleRate / (lag + offset);
+  }
+  return null;
+}
+
+//formant frequencies of a frame, lowest first, from linear prediction
+export function getFormantsLPC(frame, sampleRate, order = LPC_ORDER, maxFormants = 3) {
+  //pre-emphasis and Hamming window
+  const n = frame.length;
+  const x = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    x[i] = (frame[i] - 0.97 * (i ? frame[i - 1] : 0)) * (0.54 - 0.46 * Math.cos(2 * Math.PI * i / (n - 1)));
+  }
+
+  //autocorrelation
+  const r = new Float64Array(order + 1);
+  for (let lag = 0; lag <= order; lag++) {
+    for (let i = lag; i < n; i++) r[lag] += x[i] * x[i - lag];
+  }
+  if (!r[0]) return [];
+  r[0] *= 1 + 1e-9;
+
+  //Levinson-Durbin recursion for the predictor A(z) = 1 + a1 z^-1 + ... + ap z^-p
+  const a = new Float64Array(order + 1);
+  a[0] = 1;
+  let error = r[0];
+  for (let i = 1; i <= order; i++) {
+    let k = -r[i];
+    for (let j = 1; j < i; j++) k -= a[j] * r[i - j];
+    k /= error;
+    const previous = Float64Array.from(a);
+    for (let j = 1; j < i; j++) a[j] = previous[j] + k * previous[i - j];
+    a[i] = k;
+    error *= 1 - k * k;
+  }
+
+  //formants are the roots of A(z) close enough to the unit circle (narrow enough) to be resonances
+  const formants = [];
+  for (let [re, im] of getRoots(a)) {
+    if (im <= 0) continue;
+    const frequency = Math.atan2(im, re) * sampleRate / (2 * Math.PI);
+    const bandwidth = -Math.log(Math.hypot(re, im)) * sampleRate / Math.PI;
+    if (frequency > 90 && bandwidth < 600) formants.push(frequency);
+  }
+  return formants.sort((f1, f2) => f1 - f2).slice(0, maxFormants);
+}
+
+//complex roots [re, im] of the polynomial c[0] z^p + c[1] z^(p-1) + ... + c[p], with the Durand-Kerner method
+function getRoots(c) {
+  const p = c.length - 1;
+  let roots = Array.from({length: p}, (v, i) => {
+    //start on a circle, off the real axis
+    const angle = 2 * Math.PI * i / p + 0.4;
+    return [0.9 * Math.cos(angle), 0.9 * Math.sin(angle)];
+  });
+
+  for (let iteration = 0; iteration < 100; iteration++) {
+    let change = 0;
+    roots = roots.map(([re, im], i) => {
+      //value of the polynomial at the root (Horner)
+      let vr = c[0] / c[0], vi = 0;
+      for (let j = 1; j <= p; j++) {
+        [vr, vi] = [vr * re - vi * im + c[j] / c[0], vr * im + vi * re];
+      }
+      //divided by the product of its distances to the other roots
+      let dr = 1, di = 0;
+      roots.forEach(([r2, i2], k) => {
+        if (k == i) return;
+        const xr = re - r2, xi = im - i2;
+        [dr, di] = [dr * xr - di * xi, dr * xi + di * xr];
+      });
+      const d2 = dr * dr + di * di || 1e-30;
+      const qr = (vr * dr + vi * di) / d2, qi = (vi * dr - vr * di) / d2;
+      change = Math.max(change, Math.abs(qr) + Math.abs(qi));
+      return [re - qr, im - qi];
+    });
+    if (change < 1e-10) break;
+  }
+  return roots;
+}
+
+//tract params for formants [F1, F2, F3], interpolated between the closest grid rows
+export function lookupFormants(grid, formants, neighbours = 4) {
+  const weights = [1, 1, 0.5];
+  const distance = (row) => {
+    let d = 0;
+    for (let i = 0; i < 3; i++) {
+      if (!formants[i] || !row.formants[i]) continue;
+      const ratio = Math.log2(row.formants[i] / formants[i]);
+      d += weights[i] * ratio * ratio;
+    }
+    return d;
+  };
+
+  const closest = grid.map((row) => ({row, d: distance(row)}))
+    .sort((a, b) => a.d - b.d)
+    .slice(0, neighbours);
+
+  //inverse distance weighting
+  const params = {"tongue-index": 0, "tongue-diameter": 0, "lip-diameter": 0};
+  let total = 0;
+  for (let {row, d} of closest) {
+    const weight = 1 / (d + 1e-6);
+    total += weight;
+    for (let name in params) params[name] += row.params[name] * weight;
+  }
+  for (let name in params) params[name] /= total;
+  return params;
+}
@@ -0,0 +1,189 @@
+/*
+    A pool of preallocated MPT_Voices that play notes polyphonically (a choir)
+
+    Every voice gets its own noise seed and a fixed random detune, notes can be
+    humanized with a random delay, and all voices are mixed into one output bus.
+    When every voice is busy, a note is stolen (the oldest or the quietest).
+
+        const choir = new VoicePool(ctx, 8, {detune: 10, humanize: 0.02});
+        choir.connect(ctx.destination);
+        choir.noteOn(60, 0.8);
+*/
+import { MPT_Voice } from "./pink_trombone_script.js";
+import { Random } from "./pink_trombone_dsp.js";
+import { callAt } from "./timeline.js";
+
+//streams of the pool's own random numbers, apart from the noise of its voices
+const DETUNE_STREAM = 0x9e3779b9;
+const HUMANIZE_STREAM = DETUNE_STREAM + 1;
+
+//time constants after a release at which a voice is quiet enough (-52dB) to be suspended without a click
+const RELEASE_TIME_CONSTANTS = 6;
+
+export class VoicePool {
+
+    //notes currently playing, as {note, velocity, voice, time}, oldest first
+    notes = [];
+    //voice: context time at which its last release has faded out
+    silentAt = new Map();
+
+    /*
+        ctx - AudioContext (with the pink trombone audio modules loaded)
+        size - number of voices to preallocate
+        options (all optional):
+            name - voice name prefix (default "pool")
+            stealing - which note to steal when all voices are busy, "oldest" (default) or "quietest"
+            detune - maximum random detune of each voice, in cents (default 0)
+            humanize - maximum random delay of note on/off, in seconds (default 0)
+            velocityTarget - glottis param driven by note velocity, "intensity" (default) or "tenseness-mult"
+            seed - noise seed of the first voice, the others get seed + 1, seed + 2... (random by default).
+                Also seeds the detune and humanize delays, so pools with the same seed play the same
+            gain - master gain (default 1 / sqrt(size))
+            spread - how widely the voices are spread across the stereo field, from 0 to 1 (default 0)
+            panner - true or PannerNode options, to give every voice a PannerNode. The voices are then
+                placed on an arc in front of the listener, spread up to 90 degrees either side
+            budget - maximum number of voices sounding at once (default size). See setBudget()
+            timeConstant - smoothing time constant of param changes, in seconds (default 0.01)
+            stateUpdates - stateUpdates option of the voices (default "on-demand", as pool voices
+                have no GUI, see MPT_Voice)
+    */
+    constructor(ctx, size, options = {}) {
+        this.ctx = ctx;
+        this.stealing = options.stealing ?? "oldest";
+        this.humanize = options.humanize ?? 0;
+        this.velocityTarget = options.velocityTarget ?? "intensity";
+        this.timeConstant = options.timeConstant ?? 0.01;
+
+        this.output = new GainNode(ctx, {gain: options.gain ?? 1 / Math.sqrt(size)});
+
+        const name = options.name ?? "pool";
+        const detune = options.detune ?? 0;
+        const spread = options.spread ?? 0;
+        const seed = options.seed ?? Math.floor(Math.random() * 65536);
+        const detuneRandom = new Random(seed, DETUNE_STREAM);
+        this.humanizeRandom = new Random(seed, HUMANIZE_STREAM);
+
+        this.voices = [];
+        for (let i = 0; i < size; i++) {
+            const voice = new MPT_Voice(`${name}${i}`, ctx, null, {
+                seed: (seed + i) % 65536, 
+                panner: options.panner,
+                stateUpdates: options.stateUpdates ?? "on-demand"
+            });
+            voice.detune = (detuneRandom.random() * 2 - 1) * detune;
+
+            //from -1 (leftmost) to 1 (rightmost)
+            const position = size > 1 ? spread * (2 * i / (size - 1) - 1) : 0;
+            if (voice.panner) {
+                const angle = position * Math.PI / 2;
+                voice.setPosition(Math.sin(angle), 0, -Math.cos(angle));
+            } else {
+                voice.setPan(position);
+            }
+
+            voice.glottis.parameters.get("intensity").value = 0;
+            voice.connect(this.output);
+            this.voices.push(voice);
+        }
+
+        this.setBudget(options.budget ?? size);
+    }
+
+    connect(destination = this.ctx.destination) {
+        this.output.connect(destination);
+    }
+
+    disconnect() {
+        this.output.disconnect();
+    }
+
+    //dispose of every voice (see MPT_Voice.dispose()) and disconnect the output bus
+    dispose() {
+        this.notes = [];
+        for (let voice of this.voices) voice.dispose();
+        this.output.disconnect();
+    }
+
+    setGain(gain) {
+        this.output.gain.value = gain;
+    }
+
+    //reseed the noise of every voice, with seed, seed + 1, seed + 2..., and the humanize delays
+    setSeed(seed) {
+        this.humanizeRandom.seed(seed);
+        this.voices.forEach((voice, i) => voice.setSeed((seed + i) % 65536));
+    }
+
+    //limit the number of voices that can sound at once. Voices beyond the budget are released
+    //and, once they have faded out, suspended (see MPT_Voice.setSuspended()), so they stop using CPU.
+    //Lower this if the CPU can't keep up (audible pops)
+    setBudget(budget) {
+        this.budget = Math.max(1, Math.min(Math.floor(budget), this.voices.length));
+        const outside = (voice) => this.voices.indexOf(voice) >= this.budget;
+        for (let n of this.notes.filter((n) => outside(n.voice))) this.release(n);
+
+        const now = this.ctx.currentTime;
+        let fadeEnd = now;
+        this.voices.forEach((voice, i) => {
+            if (i < this.budget) voice.setSuspended(false);
+            else if (!voice.suspended) fadeEnd = Math.max(fadeEnd, this.silentAt.get(voice) ?? now);
+        });
+
+        //suspending a voice cuts it off, so the voices still fading out are suspended at the end of the fade,
+        //unless the budget has been raised or they have been played again by then
+        const suspend = () => {
+            for (let voice of this.voices) {
+                if (outside(voice) && !this.notes.some((n) => n.voice == voice)) voice.setSuspended(true);
+            }
+        };
+        if (fadeEnd > now) callAt(this.ctx, fadeEnd, suspend);
+        else suspend();
+    }
+
+    //play a MIDI note number (fractional for microtones) at a velocity from 0-1. Returns the voice used
+    noteOn(note, velocity = 1, time = this.ctx.currentTime) {
+        const available = this.voices.slice(0, this.budget);
+        let voice = available.find((v) => !this.notes.some((n) => n.voice == v));
+        if (!voice) {
+            const stolen = this.stealing == "quietest"
+                ? this.notes.reduce((quietest, n) => n.velocity < quietest.velocity ? n : quietest)
+                : this.notes[0];
+            this.notes.splice(this.notes.indexOf(stolen), 1);
+            voice = stolen.voice;
+        }
+
+        time += this.humanizeRandom.random() * this.humanize;
+        const frequency = 440 * Math.pow(2, (note - 69 + voice.detune / 100) / 12);
+        voice.glottis.parameters.get("frequency").setValueAtTime(frequency, time);
+        if (this.velocityTarget == "intensity") {
+            this.setTarget(voice, "intensity", velocity, time);
+        } else {
+            this.setTarget(voice, this.velocityTarget, velocity, time);
+            this.setTarget(voice, "intensity", 1, time);
+        }
+
+        this.notes.push({note, velocity, voice, time});
+        return voice;
+    }
+
+    //release the oldest playing instance of a note
+    noteOff(note, time = this.ctx.currentTime) {
+        const playing = this.notes.find((n) => n.note == note);
+        if (playing) this.release(playing, time + this.humanizeRandom.random() * this.humanize);
+    }
+
+    allNotesOff(time = this.ctx.currentTime) {
+        for (let n of [...this.notes]) this.release(n, time);
+    }
+
+    release(playing, time = this.ctx.currentTime) {
+        this.notes.splice(this.notes.indexOf(playing), 1);
+        time = Math.max(time, playing.time);
+        this.setTarget(playing.voice, "intensity", 0, time);
+        this.silentAt.set(playing.voice, time + RELEASE_TIME_CONSTANTS * this.timeConstant);
+    }
+
+    setTarget(voice, glottisParam, value, time) {
+        voice.glottis.parameters.get(glottisParam).setTargetAtTime(value, time, this.timeConstant);
+    }
+}
@@ -0,0 +1,96 @@
+/*
+    Vocal tracking: make an MPT_Voice imitate an input voice
+
+    The input (a microphone MediaStreamAudioSourceNode, an AudioBufferSourceNode...)
+    is analysed in the "tracker" AudioWorkletProcessor (see tracking.js). Its outputs,
+    one per tracked param, are connected to the voice's AudioParams, whose own values
+    are zeroed while tracking so the tracked values drive them. It runs in any
+    AudioContext, including an OfflineAudioContext for pre-recorded buffers.
+
+        const mic = new MediaStreamAudioSourceNode(ctx, {mediaStream: await navigator.mediaDevices.getUserMedia({audio: true})});
+        voice.track(mic);
+*/
+import { TRACKED_PARAMS } from "./tracking.js";
+import { solveAsync } from "./vowel_solver.js";
+
+const GLOTTIS_PARAMS = ["frequency", "intensity", "tenseness-mult"];
+
+export class VoiceTracker {
+
+    /*
+        voice - the MPT_Voice to drive
+        input - AudioNode to track
+        options (all optional):
+            params - names of the params to drive (default all: frequency, intensity, tenseness-mult,
+                tongue-index, tongue-diameter and lip-diameter)
+            minFrequency, maxFrequency - pitch search range, in Hz (default 60-800)
+            minLevel, maxLevel - input levels mapped to intensity 0 and 1, in dBFS (default -50 and -15)
+            formantScale - multiplier of the input formants before lookup (default 1)
+            smoothing - time constant of the tracked values, in seconds (default 0.03)
+    */
+    constructor(voice, input, options = {}) {
+        this.voice = voice;
+        this.input = input;
+        this.params = options.params ?? TRACKED_PARAMS;
+        for (let name of this.params) {
+            if (!TRACKED_PARAMS.includes(name)) throw new Error(`Param "${name}" can't be tracked`);
+        }
+
+        this.node = new AudioWorkletNode(voice.ctx, "tracker", {
+            numberOfInputs: 1,
+            numberOfOutputs: TRACKED_PARAMS.length,
+            outputChannelCount: TRACKED_PARAMS.map(() => 1),
+            processorOptions: {
+                initial: Object.fromEntries(TRACKED_PARAMS.map((name) => [name, this.getParam(name).value])),
+                minFrequency: options.minFrequency,
+                maxFrequency: options.maxFrequency,
+                minLevel: options.minLevel,
+                maxLevel: options.maxLevel,
+                formantScale: options.formantScale,
+                smoothing: options.smoothing
+            }
+        });
+
+        //param values before tracking, restored by stop()
+        this.saved = new Map();
+
+        //the vowel grid of the current tract length maps formants to tract params. It's computed in a Worker
+        //and posted to the tracker when ready, the tract params keep their values until then
+        const tracksTract = this.params.some((name) => !GLOTTIS_PARAMS.includes(name));
+        const n = Math.floor(voice.tract.parameters.get("n").value);
+        this.gridReady = tracksTract 
+            ? solveAsync("getVowelGrid", n).then((grid) => this.node.port.postMessage({grid})) 
+            : Promise.resolve();
+    }
+
+    getParam(name) {
+        const node = GLOTTIS_PARAMS.includes(name) ? this.voice.glottis : this.voice.tract;
+        return node.parameters.get(name);
+    }
+
+    start() {
+        if (this.saved.size) return;
+        for (let name of this.params) {
+            const param = this.getParam(name);
+            this.saved.set(name, param.value);
+            param.cancelScheduledValues(0);
+            param.value = 0;
+            this.node.connect(param, TRACKED_PARAMS.indexOf(name));
+        }
+        this.input.connect(this.node);
+    }
+
+    stop() {
+        if (!this.saved.size) return;
+        this.input.disconnect(this.node);
+        this.node.disconnect();
+        for (let [name, value] of this.saved) this.getParam(name).value = value;
+        this.saved.clear();
+    }
+
+    //stop, and end the tracker processor. The tracker can't be started again
+    dispose() {
+        this.stop();
+        this.node.port.postMessage({dispose: true});
+    }
+}
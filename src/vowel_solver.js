@@ -0,0 +1,221 @@
+/*
+    Inverse mapping from formants to tract params
+
+    Finds the tongue-index, tongue-diameter and lip-diameter that give a tract of
+    length n the target formants. Every candidate is shaped with Tract.getTargetDiameters()
+    and analysed with getFormants(), so targets are matched on the model itself.
+    A coarse grid of the vowel space is computed once per tract length and cached,
+    the closest grid point is then refined with a pattern search.
+
+    Vowel symbols are looked up in PHONEMES: their formants at n = 44 are the targets,
+    scaled by 44 / n for other lengths, as a longer tract has proportionally lower formants.
+
+        solveVowel("i", {n: 38});
+        //{"tongue-index": 23.9, "tongue-diameter": 2.39, "lip-diameter": 1.5, formants: [...], error: 0.0019}
+
+    Solving takes a fraction of a second, and about a second the first time for each tract length.
+    solveAsync() runs it in a Worker instead, so it doesn't block the main thread:
+
+        await solveAsync("solveVowel", "i", {n: 38});
+*/
+import { Tract } from "./pink_trombone_dsp.js";
+import { getFormants } from "./formants.js";
+import { PHONEMES } from "./phonemes.js";
+
+//formant analysis settings used while solving, coarser (and faster) than the getFormants() defaults
+const ANALYSIS = {count: 3, fftSize: 2048};
+
+//relative importance of matching F1, F2 and F3
+const WEIGHTS = [1, 1, 0.5];
+
+//grid of the vowel space, by tract length
+const grids = new Map();
+
+//tract used to shape candidates, by tract length
+const tracts = new Map();
+
+//Worker running solveAsync() calls, created on the first one, and its pending calls by id
+let worker = null;
+const pending = new Map();
+let nextId = 0;
+
+//search range of each param, for a tract of length n. The tongue range is the one of the TractUI tongue control
+function getRanges(n) {
+    const bladeStart = Math.floor(10 * n / 44);
+    const tipStart = Math.floor(32 * n / 44);
+    return {
+        "tongue-index": [bladeStart + 2, tipStart - 3],
+        "tongue-diameter": [2.05, 3.5],
+        "lip-diameter": [0.5, 1.5]
+    };
+}
+
+//target diameters of a tract of length n for the given params
+export function getVowelShape(n, params) {
+    if (!tracts.has(n)) {
+        const tract = new Tract(44100);
+        tract.init(n);
+        tracts.set(n, tract);
+    }
+    const tract = tracts.get(n);
+    tract.tongueIndex = params["tongue-index"];
+    tract.tongueDiameter = params["tongue-diameter"];
+    tract.lipDiameter = params["lip-diameter"];
+    tract.getTargetDiameters();
+    return Float64Array.from(tract.targetDiameter);
+}
+
+function analyse(n, params) {
+    return getFormants(getVowelShape(n, params), ANALYSIS).map((f) => f.frequency);
+}
+
+//squared log distance between formants and targets, over the given targets
+function getError(formants, targets) {
+    let error = 0;
+    targets.forEach((target, i) => {
+        if (!target) return;
+        //a missing formant is as bad as one an octave off
+        const ratio = formants[i] ? Math.log2(formants[i] / target) : 1;
+        error += WEIGHTS[i] * ratio * ratio;
+    });
+    return error;
+}
+
+//params and formants of a grid of the vowel space, computed once per tract length
+export function getVowelGrid(n) {
+    if (grids.has(n)) return grids.get(n);
+
+    const ranges = getRanges(n);
+    const steps = {"tongue-index": 8, "tongue-diameter": 6, "lip-diameter": 3};
+    const values = (name) => Array.from({length: steps[name]}, (v, i) => {
+        const [min, max] = ranges[name];
+        return min + (max - min) * i / (steps[name] - 1);
+    });
+
+    const grid = [];
+    for (let tongueIndex of values("tongue-index")) {
+        for (let tongueDiameter of values("tongue-diameter")) {
+            for (let lipDiameter of values("lip-diameter")) {
+                const params = {"tongue-index": tongueIndex, "tongue-diameter": tongueDiameter, "lip-diameter": lipDiameter};
+                grid.push({params, formants: analyse(n, params)});
+            }
+        }
+    }
+    grids.set(n, grid);
+    return grid;
+}
+
+/*
+    find tract params for target formants [F1, F2, F3] in Hz. F3 is optional, and
+    any target can be left null to ignore it.
+    options (all optional):
+        n - tract length (default 44)
+        lipDiameter - fix lip-diameter to this value instead of solving for it
+    returns {"tongue-index", "tongue-diameter", "lip-diameter", formants, error}, where
+    formants are the ones reached and error is the weighted squared distance to the targets, in octaves
+*/
+export function solveFormants(targets, options = {}) {
+    const n = options.n ?? 44;
+    const ranges = getRanges(n);
+    if (options.lipDiameter !== undefined) ranges["lip-diameter"] = [options.lipDiameter, options.lipDiameter];
+
+    const fix = (params) => {
+        for (let name in ranges) params[name] = Math.min(Math.max(params[name], ranges[name][0]), ranges[name][1]);
+        return params;
+    };
+
+    //closest grid point. With a fixed lip-diameter, only the grid points closest to it are considered
+    let grid = getVowelGrid(n);
+    if (options.lipDiameter !== undefined) {
+        const distance = (point) => Math.abs(point.params["lip-diameter"] - options.lipDiameter);
+        const closest = Math.min(...grid.map(distance));
+        grid = grid.filter((point) => distance(point) == closest);
+    }
+    let best = null;
+    for (let point of grid) {
+        const error = getError(point.formants, targets);
+        if (!best || error < best.error) best = {params: point.params, formants: point.formants, error};
+    }
+    if (options.lipDiameter !== undefined) {
+        const params = fix({...best.params});
+        const formants = analyse(n, params);
+        best = {params, formants, error: getError(formants, targets)};
+    }
+
+    //pattern search around it, halving the steps whenever no move improves
+    const steps = Object.fromEntries(Object.entries(ranges).map(([name, [min, max]]) => [name, (max - min) / 8]));
+    for (let round = 0; round < 5; round++) {
+        let improved = true;
+        while (improved) {
+            improved = false;
+            for (let name in steps) {
+                if (!steps[name]) continue;
+                for (let direction of [-1, 1]) {
+                    const params = fix({...best.params, [name]: best.params[name] + direction * steps[name]});
+                    if (params[name] == best.params[name]) continue;
+                    const formants = analyse(n, params);
+                    const error = getError(formants, targets);
+                    if (error < best.error) {
+                        best = {params, formants, error};
+                        improved = true;
+                    }
+                }
+            }
+        }
+        for (let name in steps) steps[name] /= 2;
+    }
+
+    return {...best.params, formants: best.formants, error: best.error};
+}
+
+//formants [F1, F2, F3] of a PHONEMES vowel for a tract of length n
+export function getVowelFormants(symbol, n = 44, table = PHONEMES) {
+    const vowel = table[symbol];
+    if (vowel?.type != "vowel") throw new Error(`Unknown vowel "${symbol}"`);
+    const formants = analyse(44, {
+        "tongue-index": vowel.index, "tongue-diameter": vowel.diameter, "lip-diameter": vowel.lip
+    });
+    return formants.map((f) => f * 44 / n);
+}
+
+//find tract params for a PHONEMES vowel (see solveFormants), keeping its lip rounding
+export function solveVowel(symbol, options = {}) {
+    const table = options.table ?? PHONEMES;
+    const n = options.n ?? 44;
+    return solveFormants(getVowelFormants(symbol, n, table), {lipDiameter: table[symbol].lip, ...options});
+}
+
+/*
+    run solveFormants(), solveVowel() or getVowelGrid() (method, by name) with the given args in a module
+    Worker (vowel_solver_worker.js), returning a promise of the result. Where module Workers aren't
+    available (ex. in Node), the solver runs on this thread, after the current task
+*/
+export function solveAsync(method, ...args) {
+    worker ??= createWorker();
+    if (!worker) {
+        const methods = {solveFormants, solveVowel, getVowelGrid};
+        return new Promise((resolve) => setTimeout(resolve)).then(() => methods[method](...args));
+    }
+    return new Promise((resolve, reject) => {
+        const id = nextId++;
+        pending.set(id, {resolve, reject});
+        worker.postMessage({id, method, args});
+    });
+}
+
+function createWorker() {
+    if (typeof Worker == "undefined") return false;
+    const solverWorker = new Worker(new URL("./vowel_solver_worker.js", import.meta.url), {type: "module"});
+    solverWorker.onmessage = (e) => {
+        const {id, result, error} = e.data;
+        const call = pending.get(id);
+        pending.delete(id);
+        if (error) call.reject(new Error(error));
+        else call.resolve(result);
+    };
+    solverWorker.onerror = (e) => {
+        for (let call of pending.values()) call.reject(new Error(`Vowel solver worker failed: ${e.message}`));
+        pending.clear();
+    };
+    return solverWorker;
+}
@@ -0,0 +1,16 @@
+/*
+    Module Worker running the vowel solver off the main thread (see solveAsync() in vowel_solver.js).
+    Grids are cached here, per tract length, for the life of the worker.
+*/
+import { solveFormants, solveVowel, getVowelGrid } from "./vowel_solver.js";
+
+const METHODS = {solveFormants, solveVowel, getVowelGrid};
+
+self.onmessage = (e) => {
+    const {id, method, args} = e.data;
+    try {
+        self.postMessage({id, result: METHODS[method](...args)});
+    } catch (error) {
+        self.postMessage({id, error: error.message});
+    }
+};
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Glottis, Tract } from "../src/pink_trombone_dsp.js";
+
+//render blocks of a glottis into a tract, returning the oral and nasal outputs
+function render(glottisParams = {}, tractParams = {}, blocks = 100, sampleRate = 44100) {
+    const glottis = new Glottis(sampleRate, {seed: 1});
+    const tract = new Tract(sampleRate, {seed: 1});
+    const oral = new Float32Array(blocks * 128);
+    const nasal = new Float32Array(blocks * 128);
+    for (let b = 0; b < blocks; b++) {
+        const {output, noiseModulator} = glottis.process(glottisParams);
+        tract.process(output, noiseModulator, tractParams,
+            oral.subarray(b * 128, (b + 1) * 128), null, nasal.subarray(b * 128, (b + 1) * 128));
+    }
+    return {oral, nasal, tract};
+}
+
+function rms(samples) {
+    return Math.sqrt(samples.reduce((sum, x) => sum + x * x, 0) / samples.length);
+}
+
+//period with the highest autocorrelation between 2ms and 20ms, in Hz
+function pitch(samples, sampleRate = 44100) {
+    let best = 0;
+    let bestLag = 0;
+    for (let lag = Math.floor(sampleRate / 500); lag < sampleRate / 50; lag++) {
+        let sum = 0;
+        for (let i = 0; i + lag < samples.length; i++) sum += samples[i] * samples[i + lag];
+        if (sum > best) {
+            best = sum;
+            bestLag = lag;
+        }
+    }
+    return sampleRate / bestLag;
+}
+
+test("a block of glottis and tract output is finite and not silent", () => {
+    const {oral, nasal} = render();
+    assert.ok(oral.every(Number.isFinite));
+    assert.ok(nasal.every(Number.isFinite));
+    assert.ok(rms(oral) > 0.01);
+});
+
+test("blocks can be any length", () => {
+    const glottis = new Glottis(44100, {seed: 1});
+    const tract = new Tract(44100, {seed: 1});
+    for (let length of [1, 37, 128, 1000]) {
+        const {output, noiseModulator} = glottis.process({}, new Float32Array(length));
+        const samples = tract.process(output, noiseModulator);
+        assert.equal(samples.length, length);
+        assert.ok(samples.every(Number.isFinite));
+    }
+});
+
+test("intensity 0 silences the voice", () => {
+    const {oral} = render({intensity: 0});
+    assert.ok(rms(oral.subarray(oral.length / 2)) < 1e-3);
+});
+
+test("frequency sets the pitch", () => {
+    for (let frequency of [110, 220]) {
+        const {oral} = render({frequency, "vibrato-amount": 0});
+        //the end of the render, once the glottis has faded in
+        const measured = pitch(oral.subarray(oral.length - 4096));
+        assert.ok(Math.abs(measured / frequency - 1) < 0.03, `${measured}Hz for ${frequency}Hz`);
+    }
+});
+
+test("tongue and velum params change the tract shape and sound", () => {
+    const front = render({}, {"tongue-index": 30, "tongue-diameter": 2.2});
+    const back = render({}, {"tongue-index": 14, "tongue-diameter": 2.2});
+    const i = Math.round(front.tract.n * 30 / 44);
+    assert.ok(front.tract.diameter[i] < back.tract.diameter[i]);
+    assert.notDeepEqual(front.oral, back.oral);
+
+    const closed = render({}, {"velum-target": 0.01});
+    const open = render({}, {"velum-target": 0.4});
+    assert.ok(rms(open.nasal) > 2 * rms(closed.nasal));
+});
+
+test("the tract oversamples enough to step at least once per sample", () => {
+    assert.equal(new Tract(44100).oversample, 1);
+    assert.equal(new Tract(96000).oversample, 2);
+    assert.equal(new Tract(96000, {oversample: 4}).oversample, 4);
+    assert.equal(new Tract(192000).oversample, 3);
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getFormants } from "../src/formants.js";
+
+//the waveguide steps 88200 times per second, one tract segment per step
+const STEPS_PER_SECOND = 88200;
+
+const near = (actual, expected, tolerance) =>
+    assert.ok(Math.abs(actual / expected - 1) < tolerance, `${actual} is not within ${tolerance * 100}% of ${expected}`);
+
+//a uniform tube, closed at the glottis and open at the lips, of n segments
+const tube = (n, diameter = 1.5) => new Array(n).fill(diameter);
+
+//a tube narrowed to 0.4 over 7 segments around an index
+const constricted = (index) => tube(44).map((d, i) => Math.abs(i - index) < 4 ? 0.4 : d);
+
+test("a uniform tube resonates at odd multiples of a quarter wavelength", () => {
+    for (let n of [38, 44]) {
+        const formants = getFormants(tube(n));
+        assert.equal(formants.length, 4);
+        formants.forEach(({frequency, bandwidth}, k) => {
+            near(frequency, (2 * k + 1) * STEPS_PER_SECOND / (4 * n), 0.01);
+            assert.ok(bandwidth > 0);
+        });
+    }
+});
+
+test("count and maxFrequency limit the formants returned", () => {
+    assert.equal(getFormants(tube(44), {count: 6}).length, 5);
+    assert.equal(getFormants(tube(44), {count: 2}).length, 2);
+    assert.deepEqual(getFormants(tube(44), {maxFrequency: 1000}).map((f) => Math.round(f.frequency)), [501]);
+});
+
+test("constrictions move the formants like front and back vowels", () => {
+    //near the lips F1 and F2 fall, near the glottis they rise
+    const [lipF1, lipF2] = getFormants(constricted(40));
+    const [throatF1, throatF2] = getFormants(constricted(8));
+    const [tubeF1, tubeF2] = getFormants(tube(44));
+    assert.ok(lipF1.frequency < tubeF1.frequency && tubeF1.frequency < throatF1.frequency);
+    assert.ok(lipF2.frequency < tubeF2.frequency && tubeF2.frequency < throatF2.frequency);
+});
+
+test("opening the velum changes the formants", () => {
+    const closed = getFormants(tube(44));
+    const open = getFormants(tube(44), {velum: 0.4});
+    assert.ok(open[0].frequency > closed[0].frequency + 20);
+});
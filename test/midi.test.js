@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ctx } from "./worklet_env.js";
+import { MPT_Voice } from "../src/pink_trombone_script.js";
+import { VoicePool } from "../src/voice_pool.js";
+import { MIDIBinding } from "../src/midi.js";
+
+//stands in for a Web MIDI input port
+class FakeMIDIInput extends EventTarget {
+    opened = false;
+    open() {
+        this.opened = true;
+    }
+    send(...data) {
+        const event = new Event("midimessage");
+        event.data = Uint8Array.from(data);
+        this.dispatchEvent(event);
+    }
+}
+
+const value = (voice, node, param) => voice[node].parameters.get(param).value;
+
+test("notes play free voices and steal the oldest, with velocity as intensity", () => {
+    const voices = [0, 1].map((i) => new MPT_Voice(`midi${i}`, ctx, null, {seed: i}));
+    const midi = new MIDIBinding(voices);
+    const port = new FakeMIDIInput();
+    midi.connect(port);
+    assert.ok(port.opened);
+    assert.equal(value(voices[0], "glottis", "intensity"), 0);
+
+    port.send(0x90, 69, 127);
+    port.send(0x90, 81, 64);
+    assert.equal(value(voices[0], "glottis", "frequency"), 440);
+    assert.equal(value(voices[0], "glottis", "intensity"), 1);
+    assert.equal(value(voices[1], "glottis", "frequency"), 880);
+    assert.equal(value(voices[1], "glottis", "intensity"), 64 / 127);
+
+    port.send(0x90, 57, 100);
+    assert.equal(value(voices[0], "glottis", "frequency"), 220);
+    assert.deepEqual(midi.notes.map((n) => n.note), [81, 57]);
+
+    //note off, and note on with velocity 0
+    port.send(0x80, 57, 0);
+    port.send(0x90, 81, 0);
+    assert.equal(value(voices[0], "glottis", "intensity"), 0);
+    assert.equal(value(voices[1], "glottis", "intensity"), 0);
+    assert.deepEqual(midi.notes, []);
+});
+
+test("pitch bend and mapped CCs set the params of every voice", () => {
+    const voices = [0, 1].map((i) => new MPT_Voice(`midi${i}`, ctx, null, {seed: i}));
+    const midi = new MIDIBinding(voices, {pitchBendRange: 12});
+    const port = new FakeMIDIInput();
+    midi.connect(port);
+    midi.mapCC(1, "tract", "tongue-index", 10, 30);
+
+    port.send(0xe0, 0, 0);
+    port.send(0xb0, 1, 127);
+    port.send(0xb0, 2, 127); //not mapped
+    for (let voice of voices) {
+        assert.equal(value(voice, "glottis", "pitchbend"), -12);
+        assert.equal(value(voice, "tract", "tongue-index"), 30);
+    }
+
+    midi.disconnect(port);
+    port.send(0xe0, 0, 64);
+    assert.equal(value(voices[0], "glottis", "pitchbend"), -12);
+});
+
+test("a channel option ignores other channels", () => {
+    const voice = new MPT_Voice("channel", ctx, null, {seed: 1});
+    const midi = new MIDIBinding(voice, {channel: 2});
+    const port = new FakeMIDIInput();
+    midi.connect(port);
+    port.send(0x90, 60, 127);
+    assert.deepEqual(midi.notes, []);
+    port.send(0x92, 60, 127);
+    assert.deepEqual(midi.notes.map((n) => n.note), [60]);
+});
+
+test("notes, pitch bend and CCs drive a VoicePool", () => {
+    const pool = new VoicePool(ctx, 2, {seed: 1});
+    const midi = new MIDIBinding(pool);
+    const port = new FakeMIDIInput();
+    midi.connect(port);
+    midi.mapCC(7, "gain", "gain", 0, 2);
+
+    port.send(0x90, 69, 127);
+    port.send(0x90, 72, 127);
+    assert.deepEqual(pool.notes.map((n) => n.note), [69, 72]);
+    assert.equal(value(pool.notes[0].voice, "glottis", "intensity"), 1);
+
+    port.send(0xe0, 0x7f, 0x7f);
+    port.send(0xb0, 7, 127);
+    for (let voice of pool.voices) {
+        assert.ok(Math.abs(value(voice, "glottis", "pitchbend") - 2) < 0.001);
+        assert.equal(voice.gainNode.gain.value, 2);
+    }
+
+    const voice = pool.notes[0].voice;
+    port.send(0x80, 69, 0);
+    assert.deepEqual(pool.notes.map((n) => n.note), [72]);
+    assert.equal(value(voice, "glottis", "intensity"), 0);
+
+    //all notes off
+    port.send(0xb0, 123, 0);
+    assert.deepEqual(pool.notes, []);
+    assert.deepEqual(midi.notes, []);
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import "./worklet_env.js";
+import { renderOffline, encodeWAV } from "../src/offline_render.js";
+
+//renders nothing, resolving to a description of the buffer it would have rendered
+globalThis.OfflineAudioContext = class {
+    currentTime = 0;
+    state = "suspended";
+    destination = {};
+    audioWorklet = {addModule: async () => {}};
+    constructor(numberOfChannels, length, sampleRate) {
+        Object.assign(this, {numberOfChannels, length, sampleRate});
+    }
+    async startRendering() {
+        const {numberOfChannels, length, sampleRate} = this;
+        return {numberOfChannels, length, sampleRate};
+    }
+};
+
+function fakeBuffer(channels) {
+    return {
+        numberOfChannels: channels.length,
+        length: channels[0].length,
+        sampleRate: 22050,
+        getChannelData: (c) => channels[c]
+    };
+}
+
+test("the render lasts until the end of the longest timeline plus 1s, or 1s", async () => {
+    const timeline = [[0, "glottis", "frequency", 140], [1.5, "glottis", "frequency", 200]];
+    assert.equal((await renderOffline({voices: [{timeline, stretch: 2}, {}]})).length, 4 * 44100);
+    assert.equal((await renderOffline({voices: [{}]})).length, 44100);
+    assert.equal((await renderOffline({voices: []})).length, 44100);
+    assert.equal((await renderOffline({voices: [], duration: 0.5, sampleRate: 48000})).length, 24000);
+});
+
+test("invalid voices and durations are rejected", async () => {
+    await assert.rejects(renderOffline({voices: {}}), /must be an array/);
+    await assert.rejects(renderOffline({voices: [null]}), /voice 0/);
+    await assert.rejects(renderOffline({voices: [], duration: -1}), /duration -1/);
+});
+
+test("encodeWAV() writes a 16-bit PCM header and clipped samples", async () => {
+    const buffer = fakeBuffer([new Float32Array([0, 0.5, 2]), new Float32Array([0, -0.5, -2])]);
+    const view = new DataView(await encodeWAV(buffer).arrayBuffer());
+    const text = (offset) => String.fromCharCode(...new Uint8Array(view.buffer, offset, 4));
+
+    assert.equal(view.byteLength, 44 + 3 * 2 * 2);
+    assert.equal(text(0), "RIFF");
+    assert.equal(view.getUint32(4, true), view.byteLength - 8);
+    assert.equal(text(8), "WAVE");
+    assert.equal(text(12), "fmt ");
+    assert.equal(view.getUint16(20, true), 1);
+    assert.equal(view.getUint16(22, true), 2);
+    assert.equal(view.getUint32(24, true), 22050);
+    assert.equal(view.getUint32(28, true), 22050 * 2 * 2);
+    assert.equal(view.getUint16(32, true), 4);
+    assert.equal(view.getUint16(34, true), 16);
+    assert.equal(text(36), "data");
+    assert.equal(view.getUint32(40, true), 12);
+
+    //interleaved left, right
+    const samples = Array.from({length: 6}, (v, i) => view.getInt16(44 + i * 2, true));
+    assert.deepEqual(samples, [0, 0, 16383, -16383, 32767, -32767]);
+});
+
+test("encodeWAV() writes 32-bit float samples unclipped", async () => {
+    const buffer = fakeBuffer([new Float32Array([0.25, -2])]);
+    const view = new DataView(await encodeWAV(buffer, 32).arrayBuffer());
+    assert.equal(view.byteLength, 44 + 2 * 4);
+    assert.equal(view.getUint16(20, true), 3);
+    assert.equal(view.getUint16(34, true), 32);
+    assert.deepEqual([view.getFloat32(44, true), view.getFloat32(48, true)], [0.25, -2]);
+    assert.throws(() => encodeWAV(buffer, 24), /bit depth 24/);
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ctx } from "./worklet_env.js";
+import { MPT_Voice } from "../src/pink_trombone_script.js";
+
+function createVoice() {
+    const warnings = [];
+    const voice = new MPT_Voice("ranges", ctx, null, {seed: 1, onWarning: (message) => warnings.push(message)});
+    return {voice, warnings};
+}
+
+test("setters warn about values out of range", () => {
+    const {voice, warnings} = createVoice();
+    voice.setFrequency(220);
+    voice.setPan(0.5);
+    assert.deepEqual(warnings, []);
+
+    voice.setFrequency(5000);
+    voice.setN(80);
+    assert.deepEqual(warnings, [
+        "glottis frequency 5000 out of range, clamped to [20, 2000]",
+        "tract n 80 out of range, clamped to [30, 60]"
+    ]);
+});
+
+test("presets and timelines warn about values out of range", () => {
+    const {voice, warnings} = createVoice();
+    voice.applyPreset({version: 2, glottis: {tenseness: 2}});
+    voice.playTimeline([[0, "tract", "pan", -3], [0.5, "glottis", "frequency", 100]], 0);
+    assert.deepEqual(warnings, [
+        "glottis tenseness 2 out of range, clamped to [0, 1]",
+        "tract pan -3 out of range, clamped to [-1, 1]"
+    ]);
+});
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ctx } from "./worklet_env.js";
+import { MPT_Voice } from "../src/pink_trombone_script.js";
+import { PRESETS, PRESET_VERSION, getPreset, applyPreset, upgradePreset } from "../src/presets.js";
+
+const newVoice = () => new MPT_Voice("preset", ctx, null, {seed: 1});
+
+test("a captured preset applies back to the same configuration", () => {
+    const voice = newVoice();
+    applyPreset(voice, "child");
+    voice.setGain(0.5);
+    voice.glottis.parameters.get("tenseness").value = 0.7;
+    const preset = getPreset(voice);
+    assert.equal(preset.version, PRESET_VERSION);
+
+    const other = newVoice();
+    applyPreset(other, JSON.stringify(preset));
+    assert.deepEqual(getPreset(other), preset);
+    assert.equal(other.UI.n, 30);
+});
+
+test("params left out of a preset are set back to their defaults", () => {
+    const voice = newVoice();
+    const defaults = getPreset(voice);
+    applyPreset(voice, "robot");
+    applyPreset(voice, {version: 2});
+    assert.deepEqual(getPreset(voice), defaults);
+});
+
+test("every built-in preset applies", () => {
+    for (let name in PRESETS) applyPreset(newVoice(), name);
+});
+
+test("version 1 noise filter settings are upgraded to params", () => {
+    const v1 = {
+        version: 1,
+        gain: 0.8,
+        glottis: {"frequency": 150},
+        tract: {"n": 40},
+        aspiration: {frequency: 800, Q: 0.7},
+        fricative: {frequency: 1500}
+    };
+    assert.deepEqual(upgradePreset(v1), {
+        version: 2,
+        gain: 0.8,
+        glottis: {"frequency": 150, "aspiration-frequency": 800, "aspiration-q": 0.7},
+        tract: {"n": 40, "fricative-frequency": 1500}
+    });
+    //the original is left as it was
+    assert.deepEqual(v1.glottis, {"frequency": 150});
+
+    const voice = newVoice();
+    applyPreset(voice, v1);
+    assert.equal(voice.glottis.parameters.get("aspiration-q").value, 0.7);
+    assert.equal(voice.tract.parameters.get("fricative-frequency").value, 1500);
+});
+
+test("unsupported versions, unknown params and unknown names are rejected", () => {
+    assert.throws(() => upgradePreset({glottis: {}}), /version undefined/);
+    assert.throws(() => upgradePreset({version: PRESET_VERSION + 1}), /Unsupported preset version/);
+    assert.throws(() => applyPreset(newVoice(), {version: 2, tract: {"tongue": 1}}), /unknown tract param "tongue"/);
+    assert.throws(() => applyPreset(newVoice(), "opera"), /Unknown preset "opera"/);
+});
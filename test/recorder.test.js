@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { endSources } from "./worklet_env.js";
+import { MPT_Voice } from "../src/pink_trombone_script.js";
+
+//each test gives its voices a context of its own, to move through time
+const newVoice = (ctx) => new MPT_Voice("recorded", ctx, null, {seed: 1});
+
+const hasEvent = (timeline, event) => timeline.some((e) => JSON.stringify(e) == JSON.stringify(event));
+
+test("recordings start from every param's value and timestamp changes", () => {
+    const ctx = {currentTime: 2, state: "running"};
+    const voice = newVoice(ctx);
+    const frequency = voice.glottis.parameters.get("frequency");
+    voice.startRecording();
+
+    ctx.currentTime = 2.5;
+    voice.setFrequency(200);
+    voice.setFrequency(200);
+    ctx.currentTime = 3;
+    voice.setN(38);
+    voice.gainNode.gain.setTargetAtTime(0.5, 3.2, 0.1);
+    const timeline = voice.stopRecording();
+
+    const params = voice.glottis.parameters.size + voice.tract.parameters.size + 1;
+    assert.equal(timeline.filter(([time]) => time == 0).length, params);
+    assert.ok(hasEvent(timeline, [0, "glottis", "frequency", 140]));
+    assert.equal(timeline.filter(([, node, param]) => param == "frequency").length, 2);
+    assert.ok(hasEvent(timeline, [0.5, "glottis", "frequency", 200]));
+    assert.ok(hasEvent(timeline, [1, "tract", "n", 38]));
+    assert.ok(hasEvent(timeline, [1.2, "gain", "gain", 0.5, "target", 0.1]));
+    assert.deepEqual(timeline.map(([time]) => time), timeline.map(([time]) => time).sort((a, b) => a - b));
+
+    //the params are left as they were
+    assert.equal(Object.getOwnPropertyDescriptor(frequency, "value").value, 200);
+    voice.setFrequency(300);
+    assert.equal(voice.recorder.timeline.length, timeline.length);
+});
+
+test("replayed tract length changes go through setN()", () => {
+    const ctx = {currentTime: 0, state: "running"};
+    const voice = newVoice(ctx);
+    voice.startRecording();
+    ctx.currentTime = 1;
+    voice.setN(30);
+    voice.setFrequency(220);
+    const timeline = voice.stopRecording();
+
+    const other = newVoice({currentTime: 0, state: "running"});
+    other.playTimeline(timeline);
+    endSources(0);
+    assert.equal(other.UI.n, 44);
+
+    endSources();
+    assert.equal(other.UI.n, 30);
+    assert.equal(other.tract.parameters.get("n").value, 30);
+    assert.equal(other.glottis.parameters.get("frequency").value, 220);
+});
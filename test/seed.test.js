@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, writeFileSync } from "node:fs";
+import { ctx } from "./worklet_env.js";
+import { Glottis, Tract } from "../src/pink_trombone_dsp.js";
+import { VoicePool } from "../src/voice_pool.js";
+
+//reference render, rewritten by running the tests with UPDATE_GOLDEN=1
+const GOLDEN = new URL("./golden/seed_1.json", import.meta.url);
+
+//params with vibrato, wobble, aspiration and a fricative, so every noise source is heard
+const GLOTTIS_PARAMS = {frequency: 140, "auto-wobble": 1, jitter: 0.05, shimmer: 0.1};
+const TRACT_PARAMS = {"constriction-index": 36, "constriction-diameter": 0.3};
+
+function render(glottis, tract, blocks) {
+    const samples = new Float32Array(blocks * 128);
+    for (let b = 0; b < blocks; b++) {
+        const {output, noiseModulator} = glottis.process(GLOTTIS_PARAMS);
+        tract.process(output, noiseModulator, TRACT_PARAMS, samples.subarray(b * 128, (b + 1) * 128));
+    }
+    return samples;
+}
+
+const renderSeed = (seed, blocks = 100) => render(new Glottis(44100, {seed}), new Tract(44100, {seed}), blocks);
+
+test("renders with the same seed are identical, and differ with different seeds", () => {
+    assert.deepEqual(renderSeed(1), renderSeed(1));
+    assert.notDeepEqual(renderSeed(1), renderSeed(2));
+});
+
+test("setSeed() mid-render continues like a new render with that seed", () => {
+    const glottis = new Glottis(44100, {seed: 1});
+    const tract = new Tract(44100, {seed: 1});
+    render(glottis, tract, 37);
+    glottis.setSeed(2);
+    tract.setSeed(2);
+    assert.deepEqual(render(glottis, tract, 100), renderSeed(2));
+});
+
+test("a seeded render matches the golden file", () => {
+    //every 32nd sample of half a second, to 7 decimal places
+    const step = 32;
+    const samples = Array.from(renderSeed(1, 172).filter((x, i) => i % step == 0));
+    if (process.env.UPDATE_GOLDEN) {
+        writeFileSync(GOLDEN, JSON.stringify({step, samples: samples.map((x) => Math.round(x * 1e7) / 1e7)}) + "\n");
+    }
+
+    const golden = JSON.parse(readFileSync(GOLDEN, "utf8"));
+    assert.equal(samples.length, golden.samples.length);
+    samples.forEach((x, i) => assert.ok(Math.abs(x - golden.samples[i]) < 1e-6, `sample ${i * golden.step}: ${x}`));
+});
+
+test("pools with the same seed detune and humanize the same", () => {
+    const notes = (pool) => {
+        pool.noteOn(60);
+        pool.noteOn(64);
+        return pool.notes.map((n) => n.time).concat(pool.voices.map((v) => v.detune));
+    };
+    const options = {seed: 5, detune: 20, humanize: 0.05};
+    assert.deepEqual(notes(new VoicePool(ctx, 3, options)), notes(new VoicePool(ctx, 3, options)));
+    assert.notDeepEqual(notes(new VoicePool(ctx, 3, options)), notes(new VoicePool(ctx, 3, {...options, seed: 6})));
+
+    //reseeding restarts the humanize delays
+    const pool = new VoicePool(ctx, 3, options);
+    pool.noteOn(67);
+    pool.allNotesOff();
+    pool.setSeed(5);
+    assert.deepEqual(notes(pool), notes(new VoicePool(ctx, 3, options)));
+});
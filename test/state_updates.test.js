@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ctx, processVoice } from "./worklet_env.js";
+import { MPT_Voice } from "../src/pink_trombone_script.js";
+
+//run blocks of a voice, counting the state messages of its glottis and tract
+function countStateMessages(voice, blocks) {
+    const counts = {glottis: 0, tract: 0};
+    for (let node of ["glottis", "tract"]) {
+        const onmessage = voice[node].port.onmessage;
+        voice[node].port.onmessage = (e) => {
+            if (e.data.phase !== undefined || e.data.d) counts[node]++;
+            onmessage(e);
+        };
+    }
+    for (let b = 0; b < blocks; b++) processVoice(voice);
+    return counts;
+}
+
+test("with block updates, only the tract posts its state every block", async () => {
+    const voice = new MPT_Voice("block", ctx, null, {seed: 1});
+    assert.deepEqual(countStateMessages(voice, 10), {glottis: 0, tract: 10});
+});
+
+test("requestState() gets the glottis state in block mode", async () => {
+    const voice = new MPT_Voice("request", ctx, null, {seed: 1});
+    processVoice(voice);
+    const state = await voice.requestState();
+    assert.ok(state.glottisFrequency > 0);
+    assert.equal(state.d.length, 44);
+});
+
+test("requestState() is answered by suspended voices and tracts without inputs", async () => {
+    const voice = new MPT_Voice("suspended", ctx, null, {seed: 1, stateUpdates: "on-demand"});
+    voice.setSuspended(true);
+    processVoice(voice);
+    assert.equal((await voice.requestState()).d.length, 44);
+
+    //before the tract has inputs, process() returns early
+    const waiting = new MPT_Voice("waiting", ctx, null, {seed: 1, stateUpdates: "on-demand"});
+    waiting.tract.processor.process([[], []], [[new Float32Array(128), new Float32Array(128)]], {});
+    assert.equal((await waiting.requestState()).d.length, 44);
+});
+
+test("dispose() rejects pending and later state requests", async () => {
+    const voice = new MPT_Voice("disposed", ctx, null, {seed: 1, stateUpdates: "on-demand"});
+    //a request the processors haven't answered yet
+    voice.tract.port.other.onmessage = null;
+    const request = voice.requestState();
+    voice.dispose();
+    await assert.rejects(request, /disposed/);
+    await assert.rejects(voice.requestState(), /disposed/);
+});
+
+test("with shared state, getState() reads the buffer once", () => {
+    const voice = new MPT_Voice("shared", ctx, null, {seed: 1, stateUpdates: "shared"});
+    processVoice(voice);
+    let reads = 0;
+    const read = voice.sharedState.read.bind(voice.sharedState);
+    voice.sharedState.read = () => (reads++, read());
+
+    const state = voice.getState();
+    assert.equal(state.d.length, 44);
+    assert.ok(state.glottisFrequency > 0);
+    assert.equal(reads, 1);
+});
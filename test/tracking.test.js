@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { VoiceAnalyser, getPitch } from "../src/tracking.js";
+
+const SAMPLE_RATE = 44100;
+
+//a pulse train at a fundamental frequency through a cascade of resonators at formants [F1, F2, F3],
+//like a recorded vowel
+function synthesizeVowel(frequency, formants, seconds = 0.5) {
+    const samples = new Float32Array(Math.floor(seconds * SAMPLE_RATE));
+    const period = SAMPLE_RATE / frequency;
+    for (let i = 0; i < samples.length; i += period) samples[Math.floor(i)] = 1;
+
+    for (let formant of formants) {
+        const r = Math.exp(-Math.PI * 80 / SAMPLE_RATE);
+        const a1 = 2 * r * Math.cos(2 * Math.PI * formant / SAMPLE_RATE);
+        const a2 = -r * r;
+        let y1 = 0, y2 = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const y = (1 - r) * samples[i] + a1 * y1 + a2 * y2;
+            samples[i] = y;
+            y2 = y1;
+            y1 = y;
+        }
+    }
+    //to a peak of 0.5
+    const peak = samples.reduce((max, x) => Math.max(max, Math.abs(x)), 0);
+    return samples.map((x) => x * 0.5 / peak);
+}
+
+//run an analyser over a buffer in blocks of 128, returning the last tracked value of each param
+function analyse(analyser, samples) {
+    let outputs;
+    for (let j = 0; j + 128 <= samples.length; j += 128) outputs = analyser.process(samples.subarray(j, j + 128));
+    return Object.fromEntries(Object.entries(outputs).map(([param, values]) => [param, values[127]]));
+}
+
+const near = (actual, expected, tolerance) =>
+    assert.ok(Math.abs(actual / expected - 1) < tolerance, `${actual} is not within ${tolerance * 100}% of ${expected}`);
+
+test("getPitch() finds the fundamental of a periodic frame", () => {
+    const frame = synthesizeVowel(220, [700, 1200, 2600], 0.05).subarray(0, 1024);
+    near(getPitch(frame, SAMPLE_RATE), 220, 0.01);
+});
+
+test("the analyser tracks the pitch, loudness and formants of a vowel", () => {
+    const formants = [700, 1200, 2600];
+    //two vowels to look the formants up in, and the tract params that make them
+    const grid = [
+        {formants: [700, 1200, 2600], params: {"tongue-index": 14, "tongue-diameter": 2.8, "lip-diameter": 1.2}},
+        {formants: [300, 2300, 3000], params: {"tongue-index": 27, "tongue-diameter": 2.0, "lip-diameter": 2}}
+    ];
+    const analyser = new VoiceAnalyser(SAMPLE_RATE, {grid});
+    const values = analyse(analyser, synthesizeVowel(150, formants));
+
+    near(analyser.pitch, 150, 0.02);
+    near(values["frequency"], 150, 0.02);
+    near(values["tenseness-mult"], 1, 0.01);
+    assert.ok(values["intensity"] > 0.5);
+
+    assert.equal(analyser.formants.length, 3);
+    analyser.formants.forEach((f, i) => near(f, formants[i], 0.1));
+    near(values["tongue-index"], 14, 0.05);
+    near(values["lip-diameter"], 1.2, 0.05);
+});
+
+test("noise is tracked as unvoiced, and silence as quiet", () => {
+    let seed = 1;
+    const noise = new Float32Array(SAMPLE_RATE / 2).map(() => (seed = seed * 16807 % 2147483647) / 2147483647 - 0.5);
+    const analyser = new VoiceAnalyser(SAMPLE_RATE);
+    const values = analyse(analyser, noise);
+    assert.equal(analyser.pitch, null);
+    assert.ok(values["tenseness-mult"] < 0.01);
+    assert.ok(values["intensity"] > 0.5);
+
+    assert.ok(analyse(analyser, new Float32Array(SAMPLE_RATE / 2))["intensity"] < 0.01);
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ctx, processVoice } from "./worklet_env.js";
+import { MPT_Voice } from "../src/pink_trombone_script.js";
+import { resample } from "../src/pink_trombone_dsp.js";
+
+test("setDiameters() resamples to whole tract segments", () => {
+    const voice = new MPT_Voice("shape", ctx, null, {seed: 1});
+    voice.setN(44.5);
+    assert.equal(voice.UI.n, 44);
+
+    const shapes = [];
+    voice.tract.port.other.onmessage = (e) => shapes.push(e.data);
+    voice.setDiameters(new Array(20).fill(1));
+    assert.equal(shapes[0].td.length, 44);
+});
+
+test("a held nose shape is kept in the GUI when the tract length changes", () => {
+    const voice = new MPT_Voice("nose", ctx, null, {seed: 1});
+    const nd = Array.from({length: 28}, (v, i) => 0.5 + i / 28);
+    voice.setNoseDiameters(nd);
+    processVoice(voice);
+
+    voice.setN(50);
+    assert.deepEqual(voice.UI.noseDiameter, resample(Float64Array.from(nd), 31));
+
+    voice.releaseDiameters();
+    voice.setN(44);
+    assert.notDeepEqual(voice.UI.noseDiameter, resample(Float64Array.from(nd), 28));
+});
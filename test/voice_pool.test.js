@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ctx, processVoice, endSources } from "./worklet_env.js";
+import { Glottis, Tract } from "../src/pink_trombone_dsp.js";
+import { VoicePool } from "../src/voice_pool.js";
+
+//count the calls of a DSP class's process() while running fn
+function countProcessCalls(cls, fn) {
+    const process = cls.prototype.process;
+    let calls = 0;
+    cls.prototype.process = function() {
+        calls++;
+        return process.apply(this, arguments);
+    };
+    try {
+        fn();
+    } finally {
+        cls.prototype.process = process;
+    }
+    return calls;
+}
+
+test("voices beyond the budget skip the glottis and tract DSP and output silence", () => {
+    const pool = new VoicePool(ctx, 4, {budget: 2, seed: 1});
+    for (let voice of pool.voices) voice.glottis.parameters.get("intensity").value = 1;
+
+    pool.voices.forEach((voice, i) => {
+        let output;
+        const tractCalls = countProcessCalls(Tract, () => {
+            const glottisCalls = countProcessCalls(Glottis, () => output = processVoice(voice));
+            assert.equal(glottisCalls, i < 2 ? 1 : 0);
+        });
+        assert.equal(tractCalls, i < 2 ? 1 : 0);
+        if (i >= 2) assert.ok(output.every((channel) => channel.every((x) => x == 0)));
+    });
+});
+
+test("raising the budget resumes the suspended voices", () => {
+    const pool = new VoicePool(ctx, 3, {budget: 1, seed: 1});
+    pool.setBudget(3);
+    const calls = countProcessCalls(Tract, () => pool.voices.forEach((voice) => processVoice(voice)));
+    assert.equal(calls, 3);
+});
+
+test("voices dropped from the budget are released, and suspended once they have faded out", () => {
+    const pool = new VoicePool(ctx, 3, {seed: 1});
+    for (let note of [60, 64, 67]) pool.noteOn(note);
+    pool.setBudget(1);
+
+    //still running while their intensity falls
+    assert.deepEqual(pool.notes.map((n) => n.note), [60]);
+    assert.deepEqual(pool.voices.map((voice) => voice.suspended), [false, false, false]);
+    assert.equal(countProcessCalls(Tract, () => pool.voices.forEach((voice) => processVoice(voice))), 3);
+    assert.equal(pool.voices[1].glottis.parameters.get("intensity").value, 0);
+
+    endSources();
+    assert.deepEqual(pool.voices.map((voice) => voice.suspended), [false, true, true]);
+});
+
+test("voices back within the budget before their fade ends aren't suspended", () => {
+    const pool = new VoicePool(ctx, 3, {seed: 1});
+    for (let note of [60, 64, 67]) pool.noteOn(note);
+    pool.setBudget(1);
+    pool.setBudget(3);
+    endSources();
+    assert.deepEqual(pool.voices.map((voice) => voice.suspended), [false, false, false]);
+});
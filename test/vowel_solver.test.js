@@ -0,0 +1,18 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ctx } from "./worklet_env.js";
+import { MPT_Voice } from "../src/pink_trombone_script.js";
+
+test("glideToVowel() solves after returning, then glides to the solution", async () => {
+    const voice = new MPT_Voice("solver", ctx, null, {seed: 1});
+    const tongueIndex = voice.tract.parameters.get("tongue-index");
+    const before = tongueIndex.value;
+
+    const glide = voice.glideToVowel("i");
+    assert.ok(glide instanceof Promise);
+    assert.equal(tongueIndex.value, before);
+
+    const solution = await glide;
+    assert.equal(tongueIndex.value, solution["tongue-index"]);
+    assert.ok(solution.error < 0.01);
+});
@@ -0,0 +1,110 @@
+/*
+    Fake AudioContext nodes for running voices in Node
+
+    The processors of pink_trombone_processor.js are registered into a fake
+    AudioWorkletGlobalScope, and every fake AudioWorkletNode creates its processor,
+    with their ports linked. Processors only run when a test calls their process(),
+    and ConstantSourceNodes only end when a test calls endSources().
+*/
+import { Glottis, Tract } from "../src/pink_trombone_dsp.js";
+
+const DESCRIPTORS = {glottis: Glottis.parameterDescriptors, tract: Tract.parameterDescriptors};
+
+globalThis.sampleRate = 44100;
+const processors = {};
+globalThis.registerProcessor = (name, processor) => processors[name] = processor;
+
+//messages are delivered synchronously, to the other port's onmessage
+class FakePort {
+    onmessage = null;
+    postMessage(data) {
+        this.other?.onmessage?.({data});
+    }
+    close() {}
+}
+
+globalThis.AudioWorkletProcessor = class {
+    port = new FakePort();
+};
+
+class FakeParam {
+    constructor(value, minValue = -3.4028234663852886e38, maxValue = 3.4028234663852886e38) {
+        this.value = value;
+        this.defaultValue = value;
+        this.minValue = minValue;
+        this.maxValue = maxValue;
+    }
+    setValueAtTime(value) { this.value = value; }
+    setTargetAtTime(value) { this.value = value; }
+    linearRampToValueAtTime(value) { this.value = value; }
+    cancelScheduledValues() {}
+}
+
+class FakeNode {
+    connect() {}
+    disconnect() {}
+}
+
+globalThis.GainNode = class extends FakeNode {
+    constructor(ctx, options = {}) {
+        super();
+        this.gain = new FakeParam(options.gain ?? 1);
+    }
+};
+
+//sources started and not yet ended, see endSources()
+const sources = new Set();
+
+globalThis.ConstantSourceNode = class extends FakeNode {
+    onended = null;
+    constructor(ctx, options = {}) {
+        super();
+        this.offset = new FakeParam(options.offset ?? 1);
+    }
+    start() {
+        sources.add(this);
+    }
+    stop(time = 0) {
+        this.stopTime = time;
+    }
+};
+
+//end the sources that stop by a context time, calling their onended
+export function endSources(time = Infinity) {
+    for (let source of [...sources]) {
+        if (source.stopTime === undefined || source.stopTime > time) continue;
+        sources.delete(source);
+        source.onended?.();
+    }
+}
+
+globalThis.AudioWorkletNode = class extends FakeNode {
+    constructor(ctx, name, options) {
+        super();
+        this.port = new FakePort();
+        this.parameters = new Map((DESCRIPTORS[name] ?? []).map(
+            (d) => [d.name, new FakeParam(d.defaultValue, d.minValue, d.maxValue)]
+        ));
+        this.processor = new processors[name](options);
+        this.port.other = this.processor.port;
+        this.processor.port.other = this.port;
+    }
+};
+
+await import("../src/pink_trombone_processor.js");
+
+export const ctx = {currentTime: 0, state: "running"};
+
+//run one block of a voice's glottis and tract processors, returning the tract output
+export function processVoice(voice, blockLength = 128) {
+    const params = (node) => Object.fromEntries(
+        [...node.parameters].map(([name, param]) => [name, new Float32Array([param.value])])
+    );
+    const source = [new Float32Array(blockLength)];
+    const noiseModulator = [new Float32Array(blockLength)];
+    voice.glottis.processor.process([[]], [source, noiseModulator], params(voice.glottis));
+
+    const output = [new Float32Array(blockLength), new Float32Array(blockLength)];
+    voice.tract.processor.process([source, noiseModulator], [output], params(voice.tract));
+    return output;
+}